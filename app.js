@@ -2,20 +2,40 @@ var createError = require('http-errors');
 var express = require('express');
 var path = require('path');
 var cookieParser = require('cookie-parser');
-var logger = require('morgan');
 var cors = require('cors')
 
+var hotelRoutes = require('./routes/hotelRoutes');
+var diagnosticsRoutes = require('./routes/diagnosticsRoutes');
+var adminRoutes = require('./routes/adminRoutes');
+var metricsRoutes = require('./routes/metricsRoutes');
+var healthRoutes = require('./routes/healthRoutes');
+var requestContext = require('./middleware/requestContext');
+var httpMetrics = require('./middleware/httpMetrics');
+var developmentOnly = require('./middleware/developmentOnly');
+var restoreContext = require('./middleware/restoreContext');
+var errorHandler = require('./middleware/errorHandler');
+
 var app = express();
 
-app.use(logger('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
+app.use(requestContext);
+app.use(httpMetrics);
+app.use(express.urlencoded({ extended: false }), restoreContext);
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(cors());
 
-// need to add routes here
+app.use('/api/hotels', hotelRoutes);
+app.use('/api/diagnostics', diagnosticsRoutes);
+app.use('/api/admin', developmentOnly, express.json(), restoreContext, adminRoutes);
+app.use('/metrics', metricsRoutes);
+app.use('/', healthRoutes);
+
+// catch 404 and forward to error handler
+app.use(function(req, res, next) {
+  next(createError(404));
+});
 
 // Error Handling Middleware (after routes)
+app.use(errorHandler);
 
 module.exports = app;
@@ -1,16 +1,43 @@
 const mongoose = require("mongoose");
+const config = require("./index");
+const { instrumentMongoClient } = require("../utils/mongoMetrics");
+const { retryWithBackoff } = require("../utils/backoff");
+const { waitForIndexes } = require("../utils/readiness");
+const { logger } = require("../utils/logger");
 mongoose.Promise = global.Promise;
 
-const dbName = "appdb";
-const host = "0.0.0.0";
-const port = "27017";
+// Lifecycle after the first connect; the driver reconnects by itself, these only report it.
+// Failed initial attempts are reported by the retry loop below instead.
+let wasConnected = false;
+mongoose.connection.on('connected', () => {
+    wasConnected = true;
+    logger.info('database connection successful');
+});
+mongoose.connection.on('disconnected', () => wasConnected && logger.warn('database disconnected'));
+mongoose.connection.on('reconnected', () => logger.info('database reconnected'));
+mongoose.connection.on('error', (err) => wasConnected && logger.error('database error', { err }));
 
-const url = `mongodb://${host}:${port}/${dbName}`
+// One attempt: every mongoose.connect creates a new client, so each one is instrumented for /metrics.
+// URI, credentials, TLS, replica set, pool size and timeouts all come from config/loadConfig.js;
+// monitorCommands makes the driver emit the command events behind the /metrics latency histograms.
+const connectOnce = () => {
+    const connecting = mongoose.connect(config.mongo.connectionUri, { ...config.mongo.options, useNewUrlParser: true, monitorCommands: true });
+    instrumentMongoClient(mongoose.connection.getClient());
+    return connecting;
+};
 
-const username = "";
-const password = "";
-// const uri = "mongodb+srv://${username}:${password}@${host}:${port}/${dbName}";
+// Connect with exponential backoff, then wait for the declared indexes; resolves once the app is ready
+const connectDatabase = async () => {
+    const { connectRetries, retryDelayMS, maxRetryDelayMS } = config.mongo;
+    await retryWithBackoff(connectOnce, {
+        retries: connectRetries,
+        baseMs: retryDelayMS,
+        maxMs: maxRetryDelayMS,
+        onRetry: (err, { attempt, delayMs }) => {
+            logger.warn('database connection attempt failed', { attempt, attempts: connectRetries + 1, delayMs, err });
+        }
+    });
+    await waitForIndexes();
+};
 
-mongoose.connect(url, { useNewUrlParser: true })
-    .then(() => console.log('database connection successful'))
-    .catch((err) => console.error(err));
\ No newline at end of file
+module.exports = { connectDatabase };
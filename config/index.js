@@ -0,0 +1,4 @@
+const { loadConfig } = require('./loadConfig');
+
+// Validated settings for the current NODE_ENV, loaded once; requiring this fails fast on bad settings
+module.exports = loadConfig();
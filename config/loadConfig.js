@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Every setting: the env var that sets it, its path in config/<env>.json, type, default and limits.
+// Precedence, highest first: process env, .env.<env>, .env, config/<env>.json, default.
+const SCHEMA = [
+    { key: 'port', env: 'PORT', type: 'integer', default: 8081, min: 1, max: 65535 },
+    { key: 'shutdownTimeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 10000, min: 0 },
+    { key: 'logLevel', env: 'LOG_LEVEL', type: 'string', default: 'info', pattern: /^(debug|info|warn|error|silent)$/ },
+    { key: 'cache.store', env: 'CACHE_STORE', type: 'string', default: 'lru', pattern: /^(lru|redis|none)$/ },
+    { key: 'cache.redisUrl', env: 'REDIS_URL', type: 'string', pattern: /^rediss?:\/\// },
+    { key: 'cache.ttlSeconds', env: 'CACHE_TTL_SECONDS', type: 'integer', default: 60, min: 1 },
+    { key: 'cache.maxEntries', env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 1000, min: 1 },
+    { key: 'profiler.slowQueryThresholdMs', env: 'SLOW_QUERY_THRESHOLD_MS', type: 'integer', default: 100, min: 0 },
+    { key: 'profiler.retentionSeconds', env: 'QUERY_PROFILE_RETENTION_SECONDS', type: 'integer', default: 604800, min: 60 },
+    { key: 'mongo.uri', env: 'MONGODB_URI', type: 'string', pattern: /^mongodb(\+srv)?:\/\// },
+    { key: 'mongo.host', env: 'MONGODB_HOST', type: 'string', default: '0.0.0.0' },
+    { key: 'mongo.port', env: 'MONGODB_PORT', type: 'integer', default: 27017, min: 1, max: 65535 },
+    { key: 'mongo.dbName', env: 'MONGODB_DB', type: 'string', default: 'appdb', pattern: /^[^/\\. "$]{1,63}$/ },
+    { key: 'mongo.srv', env: 'MONGODB_SRV', type: 'boolean', default: false },
+    { key: 'mongo.username', env: 'MONGODB_USERNAME', type: 'string' },
+    { key: 'mongo.password', env: 'MONGODB_PASSWORD', type: 'string', secret: true },
+    { key: 'mongo.authSource', env: 'MONGODB_AUTH_SOURCE', type: 'string' },
+    { key: 'mongo.replicaSet', env: 'MONGODB_REPLICA_SET', type: 'string' },
+    { key: 'mongo.tls', env: 'MONGODB_TLS', type: 'boolean', default: false },
+    { key: 'mongo.tlsCAFile', env: 'MONGODB_TLS_CA_FILE', type: 'string' },
+    { key: 'mongo.tlsAllowInvalidCertificates', env: 'MONGODB_TLS_ALLOW_INVALID_CERTIFICATES', type: 'boolean', default: false },
+    { key: 'mongo.maxPoolSize', env: 'MONGODB_MAX_POOL_SIZE', type: 'integer', default: 100, min: 1, max: 10000 },
+    { key: 'mongo.minPoolSize', env: 'MONGODB_MIN_POOL_SIZE', type: 'integer', default: 0, min: 0, max: 10000 },
+    { key: 'mongo.serverSelectionTimeoutMS', env: 'MONGODB_SERVER_SELECTION_TIMEOUT_MS', type: 'integer', default: 30000, min: 1 },
+    { key: 'mongo.connectTimeoutMS', env: 'MONGODB_CONNECT_TIMEOUT_MS', type: 'integer', default: 30000, min: 1 },
+    { key: 'mongo.socketTimeoutMS', env: 'MONGODB_SOCKET_TIMEOUT_MS', type: 'integer', default: 0, min: 0 },
+    { key: 'mongo.connectRetries', env: 'MONGODB_CONNECT_RETRIES', type: 'integer', default: 10, min: 0 },
+    { key: 'mongo.retryDelayMS', env: 'MONGODB_RETRY_DELAY_MS', type: 'integer', default: 500, min: 1 },
+    { key: 'mongo.maxRetryDelayMS', env: 'MONGODB_MAX_RETRY_DELAY_MS', type: 'integer', default: 30000, min: 1 }
+];
+
+// KEY=value lines; blank lines and # comments are skipped, values may be single or double quoted
+const parseDotenv = (text) => {
+    const values = {};
+    text.split(/\r?\n/).forEach((line) => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) {
+            return;
+        }
+        let value = match[2];
+        const quoted = value.match(/^(['"])(.*)\1$/);
+        if (quoted) {
+            value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    });
+    return values;
+};
+
+const readIfExists = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => {
+        node[part] = node[part] || {};
+        return node[part];
+    }, object);
+    parent[last] = value;
+};
+
+// Turn a raw env string or JSON value into the setting's type; returns an error message when it can't
+const coerce = (setting, raw) => {
+    if (setting.type === 'integer') {
+        const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (String(raw).trim() === '' || !Number.isInteger(number)) {
+            return { error: 'must be an integer' };
+        }
+        if ((setting.min !== undefined && number < setting.min) || (setting.max !== undefined && number > setting.max)) {
+            return { error: setting.max === undefined ? `must be at least ${setting.min}` : `must be between ${setting.min} and ${setting.max}` };
+        }
+        return { value: number };
+    }
+    if (setting.type === 'boolean') {
+        if (typeof raw === 'boolean') {
+            return { value: raw };
+        }
+        const text = String(raw).trim().toLowerCase();
+        if (['true', '1', 'yes'].includes(text)) {
+            return { value: true };
+        }
+        if (['false', '0', 'no'].includes(text)) {
+            return { value: false };
+        }
+        return { error: 'must be true or false' };
+    }
+    if (typeof raw !== 'string' || raw.trim() === '') {
+        return { error: 'must be a non-empty string' };
+    }
+    if (setting.pattern && !setting.pattern.test(raw)) {
+        return { error: `must match ${setting.pattern}` };
+    }
+    return { value: raw };
+};
+
+// Rules that involve more than one setting
+const crossCheck = (config, env) => {
+    const { mongo } = config;
+    const errors = [];
+    if (Boolean(mongo.username) !== Boolean(mongo.password)) {
+        errors.push('MONGODB_USERNAME and MONGODB_PASSWORD must be set together');
+    }
+    if (mongo.retryDelayMS > mongo.maxRetryDelayMS) {
+        errors.push('MONGODB_RETRY_DELAY_MS must not exceed MONGODB_MAX_RETRY_DELAY_MS');
+    }
+    if (mongo.minPoolSize > mongo.maxPoolSize) {
+        errors.push('MONGODB_MIN_POOL_SIZE must not exceed MONGODB_MAX_POOL_SIZE');
+    }
+    if ((mongo.tlsCAFile || mongo.tlsAllowInvalidCertificates) && !mongo.tls && !mongo.srv) {
+        errors.push('MONGODB_TLS_CA_FILE and MONGODB_TLS_ALLOW_INVALID_CERTIFICATES need MONGODB_TLS=true');
+    }
+    if (mongo.tlsCAFile && !fs.existsSync(mongo.tlsCAFile)) {
+        errors.push(`MONGODB_TLS_CA_FILE: ${mongo.tlsCAFile} does not exist`);
+    }
+    if (env === 'production' && !mongo.uri && mongo.host === '0.0.0.0') {
+        errors.push('Set MONGODB_URI or MONGODB_HOST in production');
+    }
+    return errors;
+};
+
+// Connection string without credentials; those go in the client options so they are never logged with the URI
+const mongoUriFor = (mongo) => {
+    if (mongo.uri) {
+        return mongo.uri;
+    }
+    return mongo.srv
+        ? `mongodb+srv://${mongo.host}/${mongo.dbName}`
+        : `mongodb://${mongo.host}:${mongo.port}/${mongo.dbName}`;
+};
+
+const mongoOptionsFor = (mongo) => {
+    const options = {
+        maxPoolSize: mongo.maxPoolSize,
+        minPoolSize: mongo.minPoolSize,
+        serverSelectionTimeoutMS: mongo.serverSelectionTimeoutMS,
+        connectTimeoutMS: mongo.connectTimeoutMS,
+        socketTimeoutMS: mongo.socketTimeoutMS
+    };
+    if (mongo.username) {
+        options.auth = { username: mongo.username, password: mongo.password };
+    }
+    if (mongo.authSource) {
+        options.authSource = mongo.authSource;
+    }
+    if (mongo.replicaSet) {
+        options.replicaSet = mongo.replicaSet;
+    }
+    if (mongo.tls) {
+        options.tls = true;
+        if (mongo.tlsCAFile) {
+            options.tlsCAFile = mongo.tlsCAFile;
+        }
+        if (mongo.tlsAllowInvalidCertificates) {
+            options.tlsAllowInvalidCertificates = true;
+        }
+    }
+    return options;
+};
+
+// Read and validate the configuration for NODE_ENV; throws one error listing every problem
+const loadConfig = ({ env = process.env, root = path.join(__dirname, '..') } = {}) => {
+    const name = env.NODE_ENV || 'development';
+    if (!ENVIRONMENTS.includes(name)) {
+        throw new Error(`Invalid configuration:\n  - NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')} (got "${name}")`);
+    }
+
+    const errors = [];
+    const readJson = (file) => {
+        const text = readIfExists(file);
+        if (text === null) {
+            return {};
+        }
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            errors.push(`${path.relative(root, file)} is not valid JSON: ${err.message}`);
+            return {};
+        }
+    };
+    const fileValues = readJson(path.join(root, 'config', `${name}.json`));
+    const dotenv = {
+        ...parseDotenv(readIfExists(path.join(root, '.env')) || ''),
+        ...parseDotenv(readIfExists(path.join(root, `.env.${name}`)) || '')
+    };
+
+    const config = { env: name };
+    SCHEMA.forEach((setting) => {
+        let raw = setting.default;
+        let source = 'default';
+        if (getPath(fileValues, setting.key) !== undefined) {
+            raw = getPath(fileValues, setting.key);
+            source = `config/${name}.json ${setting.key}`;
+        }
+        [[dotenv, '.env'], [env, 'environment']].forEach(([values, origin]) => {
+            if (values[setting.env] !== undefined && values[setting.env] !== '') {
+                raw = values[setting.env];
+                source = origin;
+            }
+        });
+        if (raw === undefined) {
+            setPath(config, setting.key, undefined);
+            return;
+        }
+
+        const { value, error } = coerce(setting, raw);
+        if (error) {
+            const shown = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+            errors.push(`${setting.env} ${error}${shown}, from ${source}`);
+        }
+        setPath(config, setting.key, value);
+    });
+
+    if (errors.length === 0) {
+        errors.push(...crossCheck(config, name));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n${errors.map((message) => `  - ${message}`).join('\n')}`);
+    }
+
+    config.mongo.connectionUri = mongoUriFor(config.mongo);
+    config.mongo.options = mongoOptionsFor(config.mongo);
+    return config;
+};
+
+module.exports = { ENVIRONMENTS, SCHEMA, parseDotenv, loadConfig };
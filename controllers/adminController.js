@@ -0,0 +1,24 @@
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const { seedHotels } = require('../utils/hotelGenerator');
+
+// Larger datasets go through `npm run seed`, which does not tie up a request
+const MAX_HTTP_SEED_COUNT = 10000;
+
+// POST method to fill the Hotel collection with a deterministic synthetic dataset
+const seed = async (req, res, next) => {
+    try {
+        const { count, seed, batchSize, keywords, keywordFrequency, drop } = req.body;
+        if (count > MAX_HTTP_SEED_COUNT) {
+            throw createError(400, `count must be at most ${MAX_HTTP_SEED_COUNT} here; use npm run seed for larger datasets`);
+        }
+        const startedAt = Date.now();
+        const inserted = await seedHotels(Hotel, { count, seed, batchSize, keywords, keywordFrequency, drop: drop === true });
+
+        res.status(201).json({ message: 'Hotels successfully seeded!', inserted, durationMs: Date.now() - startedAt });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = { seed };
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const Hold = require('../models/hold');
+const Booking = require('../models/booking');
+const { parseExplainVerbosity, summarizeExplain } = require('../utils/explain');
+const { invalidateHotel } = require('../utils/responseCache');
+const { HOLD_TTL_MS, holdMatches, parseAvailabilityQuery, parseBookingRequest, overlapFilter, peakRoomsBooked } = require('../utils/bookings');
+
+// MongoDB server error code for transactions on a standalone server
+const ILLEGAL_OPERATION = 20;
+
+// Bookings and unexpired holds overlapping a stay, for the given hotel filter
+const roomsTaken = (hotelFilter, stay, now, session = null) => Promise.all([
+    Booking.find({ hotel: hotelFilter, ...overlapFilter(stay) }).select('hotel checkIn checkOut rooms').session(session).lean(),
+    Hold.find({ hotel: hotelFilter, ...overlapFilter(stay), expiresAt: { $gt: now } }).select('hotel checkIn checkOut rooms').session(session).lean()
+]).then(([bookings, holds]) => [...bookings, ...holds]);
+
+// Take rooms in a hotel for a stay with `create(hotel, session)`. The check and the write run in one transaction
+// that first bumps the hotel's bookingVersion: concurrent reservations of the same hotel then write the same
+// document, so all but one abort with a write conflict and are retried against the ones committed meanwhile.
+// `claim(hotel, session)` runs before the check, to release the rooms of a hold being turned into a booking.
+const reserve = async (hotelId, request, { claim, create }) => {
+    const { checkIn, checkOut } = request;
+    const session = await mongoose.startSession();
+    try {
+        let hotel;
+        let created;
+        await session.withTransaction(async () => {
+            hotel = await Hotel.findOneAndUpdate({ _id: hotelId, deletedAt: null }, { $inc: { bookingVersion: 1 } })
+                .select('rooms location')
+                .session(session);
+            if (!hotel) {
+                throw createError(404, 'Hotel not found');
+            }
+            if (claim) {
+                await claim(hotel, session);
+            }
+            const taken = await roomsTaken(hotel._id, { checkIn, checkOut }, new Date(), session);
+            const left = hotel.rooms - peakRoomsBooked(taken, { checkIn, checkOut });
+            if (left < request.rooms) {
+                throw createError(409, `Only ${Math.max(left, 0)} room(s) left for these dates`);
+            }
+            created = await create(hotel, session);
+        });
+
+        // Cached availability for the hotel's location is stale once the transaction is committed
+        await invalidateHotel(hotel);
+        return created;
+    } catch (err) {
+        if (err.code === ILLEGAL_OPERATION) {
+            throw createError(503, 'Bookings need MongoDB running as a replica set');
+        }
+        throw err;
+    } finally {
+        session.endSession();
+    }
+};
+
+// POST method to hold rooms for a stay while the guest checks out; the hold expires through its TTL index
+const createHold = async (req, res, next) => {
+    try {
+        const { checkIn, checkOut, rooms } = parseBookingRequest(req.body);
+        const hold = await reserve(req.params.id, { checkIn, checkOut, rooms }, {
+            create: async (hotel, session) => {
+                const created = new Hold({ hotel: hotel._id, checkIn, checkOut, rooms, expiresAt: new Date(Date.now() + HOLD_TTL_MS) });
+                await created.save({ session });
+                return created;
+            }
+        });
+        res.status(201).json({ message: 'Rooms held!', hold });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// POST method to book rooms in a hotel, optionally claiming a hold (`holdId` in the body) for the same stay
+const createBooking = async (req, res, next) => {
+    try {
+        const { holdId, ...request } = parseBookingRequest(req.body);
+        const claim = holdId && (async (hotel, session) => {
+            const hold = await Hold.findOneAndDelete({ _id: holdId, hotel: hotel._id, expiresAt: { $gt: new Date() } }).session(session);
+            if (!hold) {
+                throw createError(410, 'Hold not found or expired');
+            }
+            if (!holdMatches(hold, request)) {
+                throw createError(400, 'Booking must match the held dates and rooms');
+            }
+        });
+        const booking = await reserve(req.params.id, request, {
+            claim,
+            create: async (hotel, session) => {
+                const created = new Booking({ hotel: hotel._id, ...request });
+                await created.save({ session });
+                return created;
+            }
+        });
+        res.status(201).json({ message: 'Booking confirmed!', booking });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to list hotels in a location with enough free rooms on every night of the stay, counting
+// unexpired holds. With ?explain= the hotel and booking plans are returned, and the plans without their indexes too.
+const availableHotels = async (req, res, next) => {
+    try {
+        const verbosity = parseExplainVerbosity(req.query.explain);
+        const stay = parseAvailabilityQuery(req.query);
+
+        const hotelQuery = () => Hotel.find({ location: stay.location, rooms: { $gte: stay.rooms } }).notDeleted();
+        const candidates = await hotelQuery();
+        const hotelIds = { $in: candidates.map((hotel) => hotel._id) };
+
+        const takenByHotel = new Map();
+        (await roomsTaken(hotelIds, stay, new Date())).forEach((taken) => {
+            const key = String(taken.hotel);
+            takenByHotel.set(key, [...(takenByHotel.get(key) || []), taken]);
+        });
+        const hotels = candidates
+            .map((hotel) => ({
+                ...hotel.toJSON(),
+                availableRooms: hotel.rooms - peakRoomsBooked(takenByHotel.get(String(hotel._id)) || [], stay)
+            }))
+            .filter((hotel) => hotel.availableRooms >= stay.rooms);
+
+        if (!verbosity) {
+            return res.status(200).json(hotels);
+        }
+
+        const bookingQuery = () => Booking.find({ hotel: hotelIds, ...overlapFilter(stay) }).select('hotel checkIn checkOut rooms');
+        const explain = {
+            hotels: summarizeExplain(await hotelQuery().explain(verbosity)),
+            bookings: summarizeExplain(await bookingQuery().explain(verbosity))
+        };
+        const withoutIndex = {
+            hotels: summarizeExplain(await hotelQuery().hint({ $natural: 1 }).explain(verbosity)),
+            bookings: summarizeExplain(await bookingQuery().hint({ $natural: 1 }).explain(verbosity))
+        };
+        res.status(200).json({ hotels, explain, withoutIndex });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createHold,
+    createBooking,
+    availableHotels
+};
@@ -0,0 +1,186 @@
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const { importFormatFor, parseImportStream } = require('../utils/importParsers');
+const { fieldErrorsFor } = require('../utils/validationErrors');
+const { clearCache } = require('../utils/responseCache');
+const { RATING_FIELDS } = require('../utils/reviews');
+
+const IMPORT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Columns written by the exporters, in order
+const EXPORT_FIELDS = ['_id', 'externalId', 'name', 'location', 'price', 'currency', 'rooms', 'description'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Upsert by externalId when the row has one, otherwise insert.
+// Re-importing a soft-deleted hotel makes it active again since the partner still lists it.
+const toWriteOp = (hotel) => {
+    const fields = hotel.toObject();
+    delete fields._id;
+    // Ratings come from reviews, never from the partner feed
+    RATING_FIELDS.forEach((field) => delete fields[field]);
+    if (fields.externalId) {
+        return { updateOne: { filter: { externalId: fields.externalId }, update: { $set: fields }, upsert: true } };
+    }
+    return { insertOne: { document: { _id: hotel._id, ...fields } } };
+};
+
+// POST method to import hotels from a streamed CSV, JSON array or NDJSON body
+const importHotels = async (req, res, next) => {
+    try {
+        const format = importFormatFor(req);
+        const report = { inserted: 0, updated: 0, failed: 0, errors: [] };
+        const fail = (row, errors) => {
+            report.failed++;
+            if (report.errors.length < MAX_REPORTED_ERRORS) {
+                report.errors.push({ row, errors });
+            }
+        };
+
+        let batch = [];
+        const flush = async () => {
+            if (batch.length === 0) {
+                return;
+            }
+            const rows = batch.map(({ row }) => row);
+            const ops = batch.map(({ op }) => op);
+            batch = [];
+
+            let result;
+            try {
+                result = await Hotel.bulkWrite(ops, { ordered: false });
+            } catch (err) {
+                if (!err.result || !err.writeErrors) {
+                    throw err;
+                }
+                // Unordered writes keep going; report the rows that failed (e.g. duplicate keys)
+                result = err.result;
+                [].concat(err.writeErrors).forEach((writeError) => {
+                    fail(rows[writeError.index], [{ path: null, message: writeError.errmsg, value: null }]);
+                });
+            }
+            report.inserted += result.insertedCount + result.upsertedCount;
+            report.updated += result.matchedCount;
+            // bulkWrite has no model middleware, so the cache plugin doesn't see these writes
+            await clearCache();
+        };
+
+        for await (const record of parseImportStream(format, req)) {
+            if (record.error) {
+                fail(record.row, [record.error]);
+                continue;
+            }
+            if (!isPlainObject(record.value)) {
+                fail(record.row, [{ path: null, message: 'Row must be an object', value: null }]);
+                continue;
+            }
+
+            // Ids and soft-delete state always come from this database, never from the import
+            const { _id, __v, deletedAt, ...fields } = record.value;
+            const hotel = new Hotel(fields);
+            // validate() rather than validateSync() so the pre-validate hooks derive the suggest n-grams
+            const err = await hotel.validate().then(() => null, (validationError) => validationError);
+            if (err) {
+                fail(record.row, fieldErrorsFor(err));
+                continue;
+            }
+
+            batch.push({ row: record.row, op: toWriteOp(hotel) });
+            if (batch.length >= IMPORT_BATCH_SIZE) {
+                await flush();
+            }
+        }
+        await flush();
+
+        res.status(200).json({
+            message: 'Import finished',
+            ...report,
+            errorsTruncated: report.failed > report.errors.length
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\n`;
+
+// How each export format frames the stream and serializes a document
+const EXPORTERS = {
+    csv: {
+        type: 'text/csv',
+        start: csvLine(EXPORT_FIELDS),
+        line: (doc) => csvLine(EXPORT_FIELDS.map((field) => doc[field])),
+        end: ''
+    },
+    json: {
+        type: 'application/json',
+        start: '[',
+        line: (doc, index) => `${index === 0 ? '' : ','}${JSON.stringify(doc)}`,
+        end: ']'
+    },
+    ndjson: {
+        type: 'application/x-ndjson',
+        start: '',
+        line: (doc) => `${JSON.stringify(doc)}\n`,
+        end: ''
+    }
+};
+
+// Resolves once `res` takes more data or closes; 'drain' never comes after the client disconnects
+const drained = (res) => new Promise((resolve) => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// GET method to stream all active hotels through a cursor so memory stays flat
+const exportHotels = async (req, res, next) => {
+    const format = req.query.format || 'json';
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        return next(createError(400, `format must be one of: ${Object.keys(EXPORTERS).join(', ')}`));
+    }
+
+    const write = async (chunk) => {
+        if (chunk !== '' && !res.write(chunk) && !res.destroyed) {
+            await drained(res);
+        }
+    };
+    const cursor = Hotel.find().notDeleted().select(EXPORT_FIELDS.join(' ')).lean().cursor();
+    try {
+        res.status(200).attachment(`hotels.${format}`).type(exporter.type);
+        await write(exporter.start);
+        let index = 0;
+        for await (const doc of cursor) {
+            // The client went away mid-export
+            if (res.destroyed) {
+                return;
+            }
+            await write(exporter.line(doc, index++));
+        }
+        await write(exporter.end);
+        res.end();
+    } catch (err) {
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        next(err);
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = { importHotels, exportHotels };
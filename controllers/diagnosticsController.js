@@ -0,0 +1,109 @@
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const QueryProfile = require('../models/queryProfile');
+const { parseBenchmarkOptions, runBenchmark, formatTable } = require('../utils/benchmark');
+const { cacheStats } = require('../utils/responseCache');
+
+// GET method to report slow queries grouped by query shape, slowest p95 first. Percentiles come from
+// $percentile's approximate method (MongoDB 7.0+), which keeps a fixed-size digest per shape however many
+// queries were recorded.
+const getSlowQueries = async (req, res, next) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw createError(400, 'limit must be a positive integer');
+        }
+        const match = {};
+        if (req.query.since !== undefined) {
+            const since = new Date(req.query.since);
+            if (Number.isNaN(since.getTime())) {
+                throw createError(400, 'since must be a valid date');
+            }
+            match.createdAt = { $gte: since };
+        }
+
+        const groups = await QueryProfile.aggregate([
+            { $match: match },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$shapeKey',
+                    collectionName: { $last: '$collectionName' },
+                    operation: { $last: '$operation' },
+                    filter: { $last: '$filter' },
+                    sort: { $last: '$sort' },
+                    projection: { $last: '$projection' },
+                    planStages: { $addToSet: '$planStage' },
+                    indexNames: { $addToSet: '$indexName' },
+                    count: { $sum: 1 },
+                    percentiles: { $percentile: { input: '$durationMs', p: [0.5, 0.95], method: 'approximate' } },
+                    max: { $max: '$durationMs' },
+                    lastSeenAt: { $last: '$createdAt' }
+                }
+            }
+        ]);
+
+        const report = groups.map((group) => ({
+            collectionName: group.collectionName,
+            operation: group.operation,
+            filter: JSON.parse(group.filter),
+            sort: JSON.parse(group.sort),
+            projection: JSON.parse(group.projection),
+            planStages: group.planStages.filter(Boolean),
+            indexNames: group.indexNames.filter(Boolean),
+            count: group.count,
+            p50: group.percentiles[0],
+            p95: group.percentiles[1],
+            max: group.max,
+            lastSeenAt: group.lastSeenAt
+        }));
+        report.sort((a, b) => b.p95 - a.p95);
+
+        res.status(200).json(report.slice(0, limit));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to suggest indexes for the recorded Hotel workload; ?apply=true creates them
+const getIndexAdvice = async (req, res, next) => {
+    try {
+        const minQueries = req.query.minQueries === undefined ? 1 : Number(req.query.minQueries);
+        if (!Number.isInteger(minQueries) || minQueries < 1) {
+            throw createError(400, 'minQueries must be a positive integer');
+        }
+        const advice = await Hotel.adviseIndexes({ apply: req.query.apply === 'true', minQueries });
+        res.status(200).json(advice);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// POST method to benchmark each /test-* query with and without its index on a scratch copy of the collection; ?format=table renders text
+const runBenchmarks = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'json';
+        if (format !== 'json' && format !== 'table') {
+            throw createError(400, 'format must be json or table');
+        }
+        const report = await runBenchmark(Hotel.db.db, Hotel.collection.collectionName, parseBenchmarkOptions(req.query));
+
+        if (format === 'table') {
+            return res.status(200).type('text/plain').send(formatTable(report));
+        }
+        res.status(200).json(report);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to report response cache counters; avgHitMs next to avgMissMs shows what the cache saves over the indexed query
+const getCacheStats = async (req, res, next) => {
+    try {
+        res.status(200).json(await cacheStats());
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = { getSlowQueries, getIndexAdvice, runBenchmarks, getCacheStats };
@@ -0,0 +1,14 @@
+const { readinessReport } = require('../utils/readiness');
+
+// GET method for liveness: the process is up and serving requests
+const getHealth = (req, res) => {
+    res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+};
+
+// GET method for readiness: 503 until MongoDB is connected and the declared indexes are built
+const getReadiness = (req, res) => {
+    const { ready, checks } = readinessReport();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+};
+
+module.exports = { getHealth, getReadiness };
@@ -1,16 +1,589 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const Promotion = require('../models/promotion');
+const { parseExplainVerbosity, summarizeExplain } = require('../utils/explain');
+const { classifyShape, pickIndex } = require('../utils/indexAdvisor');
+const { shapeOf } = require('../utils/queryShape');
+const { parseLocation, parseLimit, parseSearchQuery, encodeCursor, afterCursor, isAfterCursor, compareBy } = require('../utils/searchQuery');
+const { parseTextSearch, textSearchFilter, highlight } = require('../utils/textSearch');
+const { parsePoint, parseMaxDistance, parseGeoLimit, parseWithinShape, withinRadius } = require('../utils/geoQuery');
+const { normalizeForSuggest, matchesPrefix, parseSuggestQuery } = require('../utils/suggest');
+const { parseFacetOptions, facetStage, formatFacets } = require('../utils/facets');
+const { RATING_FIELDS, parseTopRatedQuery } = require('../utils/reviews');
+const { effectivePrice, withinRange, effectivePriceExpression } = require('../utils/promotions');
+const { FEATURED_INDEX, UPSCALE_INDEX, WILDCARD_INDEX, parseFeaturedQuery, parseStarsQuery, parseAttributeQuery, partialIndexReport } = require('../utils/hotelAttributes');
+
+// Prefixes longer than the stored n-grams can hit values that don't match; give up after this many seeks per suggestion
+const SEEKS_PER_SUGGESTION = 3;
+
+// Attach each hotel's best running promotion, which toJSON turns into effectivePrice and promotion.
+// Only the routes returning hotels call this, so internal reads don't pay for the promotion query.
+const withEffectivePrices = async (hotels) => {
+    const priced = hotels.filter((hotel) => hotel.price !== undefined);
+    if (priced.length > 0) {
+        const best = await Promotion.bestFor(priced.map((hotel) => hotel._id));
+        priced.forEach((hotel) => {
+            hotel.$locals.promotion = best.get(String(hotel._id)) || null;
+        });
+    }
+    return hotels;
+};
+
+// Run an index test query; with ?explain=<verbosity> the plan summary is returned next to the hotels.
+// `select`/`sort`/`limit`/`hint` shape the query and `transform` maps each hotel before it is returned.
+// With `partialIndex` the explain output also says whether the planner picked that partial index.
+const runIndexTest = async (req, res, next, filter, { select, sort, limit, hint, transform, partialIndex } = {}) => {
+    try {
+        const verbosity = parseExplainVerbosity(req.query.explain);
+        const build = () => {
+            const query = Hotel.find(filter, select).notDeleted().sort(sort);
+            if (limit) {
+                query.limit(limit);
+            }
+            return hint ? query.hint(hint) : query;
+        };
+        const found = await withEffectivePrices(await build());
+        const hotels = transform ? found.map(transform) : found;
+
+        if (!verbosity) {
+            return res.status(200).json(hotels);
+        }
+
+        const explain = summarizeExplain(await build().explain(verbosity));
+        if (!partialIndex) {
+            return res.status(200).json({ hotels, explain });
+        }
+        res.status(200).json({ hotels, explain, partialIndex: partialIndexReport(partialIndex, declaredPartialFilter(partialIndex), explain) });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// partialFilterExpression a partial index is declared with on the schema
+const declaredPartialFilter = (name) => {
+    const declared = Hotel.schema.indexes().find(([, options]) => options.name === name);
+    return declared ? declared[1].partialFilterExpression : null;
+};
+
 // POST method to create a hotel
-const createHotel = null;
+const createHotel = async (req, res, next) => {
+    try {
+        const hotel = new Hotel(writableFields(req.body, RATING_FIELDS));
+        await hotel.save();
+        res.status(201).json({ message: 'Hotel successfully added!', _id: hotel._id, hotel });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Existing index that best serves a search; text searches always go through the text index
+const chooseSearchIndex = async ({ filter, sort }) => {
+    if (filter.$text) {
+        return null;
+    }
+    const classified = classifyShape({ filter: shapeOf(filter), sort });
+    try {
+        return pickIndex(await Hotel.collection.indexes(), classified);
+    } catch (err) {
+        // NamespaceNotFound: nothing to hint before the first hotel is stored
+        if (err.code === 26) {
+            return null;
+        }
+        throw err;
+    }
+};
+
+// Hotels matching the search filter, its price range aside, that have a running promotion, each with
+// that promotion in $locals. `select` narrows the fields as for the search itself.
+const promotedHotels = async ({ price, ...filter }, now, select) => {
+    const best = await Promotion.bestRunning(now);
+    if (best.size === 0) {
+        return [];
+    }
+    const query = Hotel.find({ ...filter, _id: { $in: [...best.keys()] } }).notDeleted();
+    if (select) {
+        query.select(select);
+    }
+    const hotels = await query;
+    hotels.forEach((hotel) => {
+        hotel.$locals.promotion = best.get(String(hotel._id));
+    });
+    return hotels;
+};
+
+const effectivePriceOf = (hotel) => effectivePrice(hotel.price, hotel.$locals.promotion);
+
+// Sort key of a hotel on the effective price path
+const effectiveSortValue = (hotel, field) => {
+    if (field === 'price') {
+        return effectivePriceOf(hotel);
+    }
+    return field === '_id' ? String(hotel._id) : hotel.get(field);
+};
+
+// Search whose price filter or sort applies to the effective price. Hotels without a running promotion
+// are priced at their list price, so they are filtered, sorted and paged through the index as usual;
+// the promoted ones are priced in memory and merged into the page.
+const searchByEffectivePrice = async (search, index) => {
+    const { filter, sort, limit, keyset } = search;
+    const { price, ...rest } = filter;
+    const now = new Date();
+    const after = keyset && keyset.after;
+    if (after && !mongoose.isValidObjectId(after.id)) {
+        throw createError(400, 'Invalid cursor');
+    }
+
+    // Both lists are merged on the sort keys, and the price is needed to work out the effective price
+    let select;
+    if (search.projection) {
+        const sortFields = Object.keys(sort).filter((field) => field !== 'score');
+        select = { ...search.projection, price: 1, ...Object.fromEntries(sortFields.map((field) => [field, 1])) };
+    }
+    if (sort.score) {
+        select = { ...select, score: { $meta: 'textScore' } };
+    }
+
+    const promoted = await promotedHotels(filter, now, select);
+    const inRange = price ? promoted.filter((hotel) => withinRange(effectivePriceOf(hotel), price)) : promoted;
+    const candidates = after
+        ? inRange.filter((hotel) => isAfterCursor(after, keyset.field, keyset.direction, effectiveSortValue(hotel, keyset.field), String(hotel._id)))
+        : inRange;
+
+    // _id keeps pages stable when the client didn't ask for an order
+    const order = '_id' in sort ? sort : { ...sort, _id: 1 };
+    const skip = keyset ? 0 : (search.page - 1) * limit;
+    const unpromoted = { ...rest, _id: { $nin: promoted.map((hotel) => hotel._id) }, ...(price ? { price } : {}) };
+    const query = Hotel.find(after ? { $and: [unpromoted, afterCursor(after, keyset.field, keyset.direction)] } : unpromoted)
+        .notDeleted()
+        .sort(order)
+        .limit(skip + limit);
+    if (select) {
+        query.select(select);
+    }
+    if (index) {
+        query.hint(index.name);
+    }
+    const [listed, unpromotedTotal] = await Promise.all([query, Hotel.countDocuments(unpromoted).notDeleted()]);
+    listed.forEach((hotel) => {
+        hotel.$locals.promotion = null;
+    });
+
+    const hotels = [...listed, ...candidates].sort(compareBy(order, effectiveSortValue)).slice(skip, skip + limit);
+    return { hotels, total: unpromotedTotal + inRange.length };
+};
+
+// Facet $match and the promoted hotels' effective prices, so the facets count the hotels search returns
+const effectivePriceFacetStages = async (filter, now) => {
+    const promoted = await promotedHotels(filter, now, { price: 1 });
+    const { price, ...rest } = filter;
+    const match = { ...rest, deletedAt: null };
+    if (price) {
+        const inRange = promoted.filter((hotel) => withinRange(effectivePriceOf(hotel), price));
+        match.$or = [{ _id: { $nin: promoted.map((hotel) => hotel._id) }, price }, { _id: { $in: inRange.map((hotel) => hotel._id) } }];
+    }
+    const prices = promoted.map((hotel) => ({ id: hotel._id, price: hotel.$locals.promotion.price }));
+    return [{ $match: match }, { $set: { effectivePrice: effectivePriceExpression(prices) } }];
+};
+
+// GET method to search hotels with filters, sorting, projection and offset or cursor pagination.
+// Price filters and sorting apply to the effective price, so running promotions count.
+const searchHotels = async (req, res, next) => {
+    try {
+        const search = parseSearchQuery(req.query);
+        const { filter, sort, limit, keyset } = search;
+        const index = await chooseSearchIndex(search);
+
+        let hotels;
+        let total;
+        if (filter.price || sort.price) {
+            ({ hotels, total } = await searchByEffectivePrice(search, index));
+        } else {
+            const conditions = keyset && keyset.after ? { $and: [filter, afterCursor(keyset.after, keyset.field, keyset.direction)] } : filter;
+            const query = Hotel.find(conditions).notDeleted().sort(sort).limit(limit);
+            if (search.projection) {
+                query.select(keyset ? { ...search.projection, [keyset.field]: 1 } : search.projection);
+            }
+            if (sort.score) {
+                query.select({ score: { $meta: 'textScore' } });
+            }
+            if (index) {
+                query.hint(index.name);
+            }
+            if (!keyset) {
+                query.skip((search.page - 1) * limit);
+            }
+            [hotels, total] = await Promise.all([query.then(withEffectivePrices), Hotel.countDocuments(filter).notDeleted()]);
+        }
+
+        const meta = { total, limit, index: filter.$text ? 'text' : index && index.name };
+        if (keyset) {
+            const last = hotels[hotels.length - 1];
+            // Price cursors hold the effective price the page was ordered by
+            meta.nextCursor = hotels.length === limit
+                ? encodeCursor(keyset.field === 'price' ? { _id: last._id, price: effectivePriceOf(last) } : last, keyset.field)
+                : null;
+        } else {
+            meta.page = search.page;
+            meta.pages = Math.ceil(total / limit);
+        }
+        res.status(200).json({ hotels, meta });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to count hotels per location, price bucket and room range in one $facet aggregation.
+// Takes the search filters; meta.index names the index hinted for the $match, ?explain= adds its plan summary.
+const facetHotels = async (req, res, next) => {
+    try {
+        const search = parseSearchQuery(req.query);
+        const options = parseFacetOptions(req.query);
+        const verbosity = parseExplainVerbosity(req.query.explain);
+        const index = await chooseSearchIndex(search);
+
+        const stages = await effectivePriceFacetStages(search.filter, new Date());
+        const build = () => {
+            const aggregate = Hotel.aggregate([...stages, facetStage(options)]);
+            return index ? aggregate.hint(index.name) : aggregate;
+        };
+        const [result] = await build();
+
+        const meta = { index: search.filter.$text ? 'text' : index && index.name };
+        if (verbosity) {
+            meta.explain = summarizeExplain(await build().explain(verbosity));
+        }
+        res.status(200).json({ facets: formatFacets(result, options), meta });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Fields clients may not set directly through PUT/PATCH
+const PROTECTED_FIELDS = ['_id', '__v', 'deletedAt', 'bookingVersion', ...RATING_FIELDS];
+
+const writableFields = (body, protectedFields = PROTECTED_FIELDS) => {
+    const fields = { ...body };
+    protectedFields.forEach((field) => delete fields[field]);
+    return fields;
+};
+
+// Load an active hotel by id or fail with a 404
+const findActiveHotel = async (id) => {
+    const hotel = await Hotel.findById(id).notDeleted();
+    if (!hotel) {
+        throw createError(404, 'Hotel not found');
+    }
+    return hotel;
+};
+
+// GET method to fetch a hotel by id
+const getHotel = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        await withEffectivePrices([hotel]);
+        res.status(200).json(hotel);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// PUT method to replace a hotel
+const replaceHotel = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        const ratings = Object.fromEntries(RATING_FIELDS.map((field) => [field, hotel.get(field)]));
+        hotel.overwrite({ ...writableFields(req.body), ...ratings, deletedAt: null });
+        // Leave the ratings out of the update so reviews added meanwhile aren't lost
+        RATING_FIELDS.forEach((field) => hotel.unmarkModified(field));
+        await hotel.save();
+        res.status(200).json({ message: 'Hotel successfully updated!', hotel });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// PATCH method to update only the given fields of a hotel
+const updateHotel = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        hotel.set(writableFields(req.body));
+        await hotel.save();
+        res.status(200).json({ message: 'Hotel successfully updated!', hotel });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// DELETE method to soft delete a hotel
+const deleteHotel = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        hotel.deletedAt = new Date();
+        await hotel.save();
+        res.status(200).json({ message: 'Hotel successfully deleted!', _id: hotel._id });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// POST method to restore a soft-deleted hotel
+const restoreHotel = async (req, res, next) => {
+    try {
+        const hotel = await Hotel.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!hotel) {
+            throw createError(404, 'Deleted hotel not found');
+        }
+        hotel.deletedAt = null;
+        await hotel.save();
+        res.status(200).json({ message: 'Hotel successfully restored!', hotel });
+    } catch (err) {
+        next(err);
+    }
+};
 
 // Test query performance with single-field index
-const testSingleFieldIndex = null;
+const testSingleFieldIndex = (req, res, next) => {
+    let location;
+    try {
+        location = parseLocation(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    runIndexTest(req, res, next, { location });
+};
 
 // Test query performance with compound index
-const testCompoundIndex = null;
+const testCompoundIndex = (req, res, next) => {
+    let location;
+    try {
+        location = parseLocation(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    runIndexTest(req, res, next, { location, price: Number(req.query.price) });
+};
+
+// Test query performance with text index; results are ranked by relevance with highlighted snippets.
+// ?search= accepts "exact phrases" and -negated terms, ?language= overrides the stemming language.
+const testTextIndex = (req, res, next) => {
+    let filter;
+    try {
+        filter = textSearchFilter(req.query.search, req.query.language);
+    } catch (err) {
+        return next(err);
+    }
+    const parsed = parseTextSearch(req.query.search);
+    const score = { $meta: 'textScore' };
+
+    runIndexTest(req, res, next, filter, {
+        select: { score },
+        sort: { score },
+        transform: (hotel) => ({
+            ...hotel.toJSON(),
+            highlights: { name: highlight(hotel.name, parsed), description: highlight(hotel.description, parsed) }
+        })
+    });
+};
+
+// Test query performance with dynamic index (on 'price'). Matches the list price so the plan shows
+// the price index alone; each hotel still carries its effectivePrice.
+const testDynamicIndex = (req, res, next) => {
+    runIndexTest(req, res, next, { price: Number(req.query.price) });
+};
+
+// Best rated hotels in a location, served by the top_rated_in_location index.
+// ?minReviews= skips hotels with too few reviews for their average to mean much.
+const topRatedHotels = (req, res, next) => {
+    let options;
+    try {
+        options = parseTopRatedQuery(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    runIndexTest(req, res, next, { location: options.location, reviewCount: { $gte: options.minReviews } }, {
+        sort: { avgRating: -1, reviewCount: -1 },
+        limit: options.limit,
+        hint: 'top_rated_in_location'
+    });
+};
+
+// Featured hotels (?location=&maxPrice=), cheapest first, served by the featured_location_price partial index
+const featuredHotels = (req, res, next) => {
+    let filter;
+    let limit;
+    try {
+        filter = parseFeaturedQuery(req.query);
+        limit = parseLimit(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    runIndexTest(req, res, next, filter, { sort: { price: 1 }, limit, partialIndex: FEATURED_INDEX });
+};
+
+// Hotels by star rating (?minStars=&maxPrice=&amenities=). ?explain= shows the upscale_price partial index
+// picked only when minStars is 4 or more, and the sparse stars and amenities indexes otherwise.
+const hotelsByStars = (req, res, next) => {
+    let filter;
+    let limit;
+    try {
+        filter = parseStarsQuery(req.query);
+        limit = parseLimit(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    runIndexTest(req, res, next, filter, { limit, partialIndex: UPSCALE_INDEX });
+};
+
+// Plain { field: 1 } index on the collection, if there is one
+const dedicatedIndexFor = async (field) => {
+    const indexes = await Hotel.collection.indexes();
+    return indexes.find((index) => (
+        !index.partialFilterExpression
+        && Object.keys(index.key).length === 1
+        && index.key[field] === 1
+    ));
+};
+
+// Hotels by a partner attribute (?path=&value=, path from the allow-list), served by the attributes.$** wildcard
+// index. ?compare=true explains the query with the wildcard index next to a dedicated single-field index on the
+// path. That index is never built here: without one, singleField reports its key so an admin can create it
+// through POST /api/hotels/indexes.
+const hotelsByAttribute = async (req, res, next) => {
+    let field;
+    let filter;
+    let limit;
+    try {
+        ({ field, filter } = parseAttributeQuery(req.query));
+        limit = parseLimit(req.query);
+    } catch (err) {
+        return next(err);
+    }
+    if (req.query.compare !== 'true') {
+        return runIndexTest(req, res, next, filter, { limit });
+    }
+
+    try {
+        const verbosity = parseExplainVerbosity(req.query.explain) || 'executionStats';
+        const explain = (hint) => Hotel.find(filter).notDeleted().limit(limit).hint(hint).explain(verbosity);
+        const hotels = await Hotel.find(filter).notDeleted().limit(limit);
+        const wildcard = summarizeExplain(await explain(WILDCARD_INDEX));
+        const dedicated = await dedicatedIndexFor(field);
+        const singleField = dedicated
+            ? { index: dedicated.name, ...summarizeExplain(await explain(dedicated.name)) }
+            : { index: null, key: { [field]: 1 } };
+        res.status(200).json({ hotels, explain: wildcard, singleField });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// $geoNear must open the pipeline; it needs the 2dsphere index and adds the distance in meters to each hit
+const geoNearPipeline = (point, query, limit, maxDistance) => [
+    {
+        $geoNear: {
+            near: { type: 'Point', coordinates: point },
+            distanceField: 'distance',
+            spherical: true,
+            query: { ...query, deletedAt: null },
+            ...(maxDistance === undefined ? {} : { maxDistance })
+        }
+    },
+    { $limit: limit },
+    { $project: { suggest: 0 } }
+];
+
+// GET method to find hotels near a point, closest first
+const nearHotels = async (req, res, next) => {
+    try {
+        const point = parsePoint(req.query);
+        const pipeline = geoNearPipeline(point, {}, parseGeoLimit(req.query.limit), parseMaxDistance(req.query.maxDistance));
+        res.status(200).json(await Hotel.aggregate(pipeline));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to find hotels inside a box or polygon, with the distance from its centre (or ?lng=&lat=)
+const withinHotels = async (req, res, next) => {
+    try {
+        const { geometry, center } = parseWithinShape(req.query);
+        const pipeline = geoNearPipeline(center, { geo: { $geoWithin: { $geometry: geometry } } }, parseGeoLimit(req.query.limit));
+        res.status(200).json(await Hotel.aggregate(pipeline));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Test query performance with geospatial index (on 'geo'); with ?explain= the plan without the index is returned too
+const testGeoIndex = async (req, res, next) => {
+    try {
+        const verbosity = parseExplainVerbosity(req.query.explain);
+        const filter = { geo: withinRadius(parsePoint(req.query), parseMaxDistance(req.query.maxDistance)) };
+        const hotels = await Hotel.find(filter).notDeleted();
+
+        if (!verbosity) {
+            return res.status(200).json(hotels);
+        }
 
-// Test query performance with text index
-const testTextIndex = null;
+        const indexed = await Hotel.find(filter).notDeleted().explain(verbosity);
+        const unindexed = await Hotel.find(filter).notDeleted().hint({ $natural: 1 }).explain(verbosity);
+        res.status(200).json({ hotels, explain: summarizeExplain(indexed), withoutIndex: summarizeExplain(unindexed) });
+    } catch (err) {
+        next(err);
+    }
+};
 
-// Test query performance with dynamic index (on 'price')
-const testDynamicIndex = null;
+// GET method to complete a hotel name or location from the typed prefix
+// Each distinct value costs one seek on the suggest index, so response time doesn't grow with the collection
+const suggestHotels = async (req, res, next) => {
+    try {
+        const { field, prefix, gram, limit } = parseSuggestQuery(req.query);
+        const suggestions = [];
+        const seen = new Set();
+        let after;
+        for (let seeks = 0; suggestions.length < limit && seeks < limit * SEEKS_PER_SUGGESTION; seeks++) {
+            const filter = { [`suggest.${field}`]: gram, deletedAt: null };
+            if (after !== undefined) {
+                filter[field] = { $gt: after };
+            }
+            const hotel = await Hotel.findOne(filter).select(field).sort({ [field]: 1 }).lean();
+            if (!hotel) {
+                break;
+            }
+            after = hotel[field];
+            // "Paris" and "paris" are the same suggestion
+            const key = normalizeForSuggest(after);
+            if (!seen.has(key) && matchesPrefix(after, prefix)) {
+                seen.add(key);
+                suggestions.push(after);
+            }
+        }
+        res.status(200).json({ field, suggestions });
+    } catch (err) {
+        next(err);
+    }
+};
 
-module.exports = { createHotel, testSingleFieldIndex, testCompoundIndex, testTextIndex, testDynamicIndex };
+module.exports = {
+    createHotel,
+    searchHotels,
+    suggestHotels,
+    facetHotels,
+    getHotel,
+    replaceHotel,
+    updateHotel,
+    deleteHotel,
+    restoreHotel,
+    testSingleFieldIndex,
+    testCompoundIndex,
+    testTextIndex,
+    testDynamicIndex,
+    topRatedHotels,
+    featuredHotels,
+    hotelsByStars,
+    hotelsByAttribute,
+    nearHotels,
+    withinHotels,
+    testGeoIndex
+};
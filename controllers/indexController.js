@@ -0,0 +1,85 @@
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const { clearCache } = require('../utils/responseCache');
+const { parseIndexSpec } = require('../utils/indexSpec');
+const { buildIndex } = require('../utils/indexBuilds');
+const { coverageFilter, estimateSavings } = require('../utils/indexCoverage');
+
+// MongoDB server error codes surfaced by the index commands
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+const INDEX_CONFLICT_CODES = [85, 86];
+
+// Index sizes in bytes, keyed by index name
+const getIndexSizes = async () => {
+    const [stats] = await Hotel.collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+    return (stats && stats.storageStats && stats.storageStats.indexSizes) || {};
+};
+
+// GET method to list the indexes on the Hotel collection with their collStats sizes. With ?coverage=true,
+// partial and sparse indexes also report how many hotels they cover and the bytes saved against a full index;
+// that counts the hotels matching each index's filter, so it is opt-in.
+const listIndexes = async (req, res, next) => {
+    try {
+        let indexes;
+        try {
+            indexes = await Hotel.collection.indexes();
+        } catch (err) {
+            if (err.code === NAMESPACE_NOT_FOUND) {
+                return res.status(200).json([]);
+            }
+            throw err;
+        }
+
+        const withCoverage = req.query.coverage === 'true';
+        const [sizes, total] = await Promise.all([getIndexSizes(), withCoverage ? Hotel.collection.estimatedDocumentCount() : null]);
+        res.status(200).json(await Promise.all(indexes.map(async (index) => {
+            const { v, key, name, ...options } = index;
+            const size = sizes[name] === undefined ? null : sizes[name];
+            const filter = coverageFilter(index);
+            if (!withCoverage || !filter) {
+                return { name, key, options, size };
+            }
+            const documents = await Hotel.collection.countDocuments(filter);
+            return { name, key, options, size, coverage: { documents, total, ...estimateSavings({ size, documents, total }) } };
+        })));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// POST method to create an index from a JSON spec
+const createIndex = async (req, res, next) => {
+    try {
+        const { key, options } = parseIndexSpec(req.body);
+        const name = await buildIndex(Hotel.collection, key, options);
+        // Cached explain output and hinted index names may refer to the old set of indexes
+        await clearCache();
+        res.status(201).json({ message: 'Index successfully created!', name, key, options });
+    } catch (err) {
+        if (INDEX_CONFLICT_CODES.includes(err.code)) {
+            return next(createError(409, err.message));
+        }
+        next(err);
+    }
+};
+
+// DELETE method to drop an index by name
+const dropIndex = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+        if (name === '_id_') {
+            throw createError(400, 'The _id index cannot be dropped');
+        }
+        await Hotel.collection.dropIndex(name);
+        await clearCache();
+        res.status(200).json({ message: 'Index successfully dropped!', name });
+    } catch (err) {
+        if (err.code === INDEX_NOT_FOUND || err.code === NAMESPACE_NOT_FOUND) {
+            return next(createError(404, `Index "${req.params.name}" not found`));
+        }
+        next(err);
+    }
+};
+
+module.exports = { listIndexes, createIndex, dropIndex };
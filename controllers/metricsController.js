@@ -0,0 +1,14 @@
+const { registry } = require('../utils/metrics');
+// Registers the MongoDB command, pool and $indexStats metrics
+require('../utils/mongoMetrics');
+
+// GET method to expose every metric in the Prometheus text format
+const getMetrics = async (req, res, next) => {
+    try {
+        res.status(200).type('text/plain; version=0.0.4').send(await registry.render());
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = { getMetrics };
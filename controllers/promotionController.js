@@ -0,0 +1,48 @@
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const Promotion = require('../models/promotion');
+const { invalidateHotel } = require('../utils/responseCache');
+const { parsePromotionRequest } = require('../utils/promotions');
+
+// Load an active hotel by id or fail with a 404
+const findActiveHotel = async (id) => {
+    const hotel = await Hotel.findOne({ _id: id, deletedAt: null }).select('location').lean();
+    if (!hotel) {
+        throw createError(404, 'Hotel not found');
+    }
+    return hotel;
+};
+
+// POST method to run a promotional price for a hotel until expiresAt; its TTL index deletes it afterwards
+const createPromotion = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        const promotion = new Promotion({ hotel: hotel._id, ...parsePromotionRequest(req.body) });
+        await promotion.save();
+        // Cached responses show the hotel's old effective price
+        await invalidateHotel(hotel);
+        res.status(201).json({ message: 'Promotion successfully added!', promotion });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// GET method to list a hotel's running and upcoming promotions, lowest price first
+const listPromotions = async (req, res, next) => {
+    try {
+        const hotel = await findActiveHotel(req.params.id);
+        const now = new Date();
+        const promotions = await Promotion.find({ hotel: hotel._id, expiresAt: { $gt: now } }).sort({ price: 1 });
+        res.status(200).json(promotions.map((promotion) => ({
+            ...promotion.toJSON(),
+            active: promotion.startsAt <= now
+        })));
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createPromotion,
+    listPromotions
+};
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const Hotel = require('../models/hotel');
+const Review = require('../models/review');
+const { parseReviewPage, addRatingUpdate } = require('../utils/reviews');
+
+// MongoDB server error code for transactions on a standalone server
+const ILLEGAL_OPERATION = 20;
+
+// Reviews can only be added to and listed for active hotels
+const assertActiveHotel = async (id) => {
+    if (!(await Hotel.exists({ _id: id, deletedAt: null }))) {
+        throw createError(404, 'Hotel not found');
+    }
+};
+
+// POST method to review a hotel. The review and the hotel's avgRating and reviewCount are written in one
+// transaction, so a review is never stored without being counted, nor counted without being stored.
+const createReview = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { rating, text, author } = req.body;
+        // Validate before the transaction so bad input is a 400 without touching the hotel
+        await new Review({ hotel: req.params.id, rating, text, author }).validate();
+
+        let review;
+        await session.withTransaction(async () => {
+            const counted = await Hotel.updateOne({ _id: req.params.id, deletedAt: null }, addRatingUpdate(rating)).session(session);
+            if (counted.matchedCount === 0) {
+                throw createError(404, 'Hotel not found');
+            }
+            // A new document per attempt: withTransaction retries this callback on transient errors
+            review = new Review({ hotel: req.params.id, rating, text, author });
+            await review.save({ session });
+        });
+        res.status(201).json({ message: 'Review successfully added!', review });
+    } catch (err) {
+        if (err.code === ILLEGAL_OPERATION) {
+            return next(createError(503, 'Reviews need MongoDB running as a replica set'));
+        }
+        next(err);
+    } finally {
+        session.endSession();
+    }
+};
+
+// GET method to list a hotel's reviews newest first, one page at a time from the { hotel, createdAt } index
+const listReviews = async (req, res, next) => {
+    try {
+        const { page, limit } = parseReviewPage(req.query);
+        await assertActiveHotel(req.params.id);
+        const filter = { hotel: req.params.id };
+        const [reviews, total] = await Promise.all([
+            Review.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).hint({ hotel: 1, createdAt: -1 }),
+            Review.countDocuments(filter)
+        ]);
+        res.status(200).json({ reviews, meta: { total, page, pages: Math.ceil(total / limit), limit } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createReview,
+    listReviews
+};
@@ -0,0 +1,12 @@
+const createError = require('http-errors');
+const config = require('../config');
+
+// Hide a route outside development and test: it answers 404 in production, as if it did not exist
+const developmentOnly = (req, res, next) => {
+    if (config.env === 'production') {
+        return next(createError(404));
+    }
+    next();
+};
+
+module.exports = developmentOnly;
@@ -1,7 +1,35 @@
+const { fieldErrorsFor } = require('../utils/validationErrors');
+const { logger, serializeError, currentContext } = require('../utils/logger');
+
+// Mongoose errors caused by bad input are client errors
+const statusFor = (err) => {
+    if (err.name === 'CastError' || err.name === 'ValidationError') {
+        return 400;
+    }
+    return err.status || 500;
+};
+
+const messageFor = (err) => {
+    if (err.name === 'CastError') {
+        return `Invalid ${err.path}: ${JSON.stringify(err.value)}`;
+    }
+    return err.message || 'Something went wrong';
+};
+
+// Server errors are logged as errors, client errors as warnings; both carry the request ID
 const errorHandler = (err, req, res, next) => {
-    res.status(err.status || 500).json({
-        message: err.message || 'Something went wrong',
-        stack: process.env.NODE_ENV === 'production' ? null : err.stack
+    const status = statusFor(err);
+    logger[status >= 500 ? 'error' : 'warn']('request failed', {
+        requestId: req.id || currentContext().requestId,
+        method: req.method,
+        url: req.originalUrl,
+        status,
+        err
+    });
+    res.status(status).json({
+        message: err.name === 'ValidationError' ? 'Validation failed' : messageFor(err),
+        errors: fieldErrorsFor(err),
+        stack: serializeError(err).stack || null
     });
 };
 
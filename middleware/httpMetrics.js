@@ -0,0 +1,40 @@
+const { registry } = require('../utils/metrics');
+
+const requestsTotal = registry.counter('http_requests_total', 'HTTP requests by method, route and status', {
+    labelNames: ['method', 'route', 'status']
+});
+const requestDuration = registry.histogram('http_request_duration_seconds', 'HTTP request latency by method, route and status', {
+    labelNames: ['method', 'route', 'status']
+});
+
+// Remember the route pattern (rather than the raw path, so /api/hotels/:id stays one series whatever
+// the id) at the moment Express matches it; once a handler calls next(err) the router has already
+// reset req.baseUrl, so reading it when the response finishes would lose the mount path
+const trackRoute = (req) => {
+    let route;
+    let pattern = 'unmatched';
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: (value) => {
+            route = value;
+            pattern = `${req.baseUrl}${value.path}`;
+        }
+    });
+    return () => pattern;
+};
+
+// Count and time every request once its response has been sent
+const httpMetrics = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const routeOf = trackRoute(req);
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeOf(), status: res.statusCode };
+        requestsTotal.inc(labels);
+        requestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+};
+
+module.exports = httpMetrics;
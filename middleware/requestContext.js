@@ -0,0 +1,31 @@
+const { randomUUID } = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+
+// Incoming IDs are reused only when they look like IDs, so a header can't inject junk into the logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Give every request an X-Request-Id (propagated or generated), run the rest of the chain with it
+// in the logging context and write one access log line when the response is done
+const requestContext = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    runWithContext({ requestId }, () => {
+        res.on('finish', () => {
+            // 'finish' is emitted outside the context when a body parser has read the request
+            logger.info('request completed', {
+                requestId,
+                method: req.method,
+                url: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100
+            });
+        });
+        next();
+    });
+};
+
+module.exports = requestContext;
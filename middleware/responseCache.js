@@ -0,0 +1,39 @@
+const { cache, tagsFor, recordLookup, safely } = require('../utils/responseCache');
+
+// Serve successful JSON GET responses from the cache. Express adds the ETag to every JSON body
+// and answers a matching If-None-Match with 304, for fresh and cached responses alike.
+// Clients must revalidate every time and shared caches must not keep a copy: tag invalidation
+// only reaches this cache, so anything held elsewhere could outlive a write.
+const responseCache = () => async (req, res, next) => {
+    const { store } = cache;
+    if (!store || req.method !== 'GET') {
+        return next();
+    }
+    const startedAt = process.hrtime.bigint();
+    const key = req.originalUrl;
+    const cacheControl = 'private, no-cache';
+
+    const cached = await safely(() => store.get(key), undefined);
+    if (cached) {
+        recordLookup(true, startedAt);
+        return res.status(200).set({ 'Cache-Control': cacheControl, 'X-Cache': 'HIT' }).type('json').send(cached.body);
+    }
+
+    const generation = cache.generation;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode !== 200) {
+            return json(body);
+        }
+        recordLookup(false, startedAt);
+        const text = JSON.stringify(body);
+        // A write since the lookup may already be missing from this body
+        if (generation === cache.generation) {
+            safely(() => store.set(key, { body: text }, { ttlMs: cache.ttlSeconds * 1000, tags: tagsFor(req) }));
+        }
+        return res.set({ 'Cache-Control': cacheControl, 'X-Cache': 'MISS' }).type('json').send(text);
+    };
+    next();
+};
+
+module.exports = responseCache;
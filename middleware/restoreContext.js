@@ -0,0 +1,7 @@
+const { runWithContext } = require('../utils/logger');
+
+// Body parsers call next() from the request stream's callbacks, outside the logging context that
+// requestContext started; mount this after them so the rest of the chain logs with the request ID again
+const restoreContext = (req, res, next) => runWithContext({ requestId: req.id }, next);
+
+module.exports = restoreContext;
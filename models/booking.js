@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const queryProfiler = require('./plugins/queryProfiler');
+const queryLogger = require('./plugins/queryLogger');
+const { GUESTS_PER_ROOM } = require('../utils/bookings');
+
+// Define the schema for the Booking model; checkIn and checkOut are UTC midnights, checkOut exclusive
+const bookingSchema = new mongoose.Schema({
+    hotel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hotel',
+        required: [true, 'Hotel is required']
+    },
+    checkIn: { type: Date, required: [true, 'Check-in date is required'] },
+    checkOut: {
+        type: Date,
+        required: [true, 'Check-out date is required'],
+        validate: {
+            validator: function (value) {
+                return !this.checkIn || value > this.checkIn;
+            },
+            message: 'Check-out must be after check-in'
+        }
+    },
+    rooms: {
+        type: Number,
+        required: [true, 'Number of rooms is required'],
+        min: [1, 'A booking must take at least one room'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Number of rooms must be a whole number'
+        }
+    },
+    guests: {
+        type: Number,
+        required: [true, 'Number of guests is required'],
+        min: [1, 'A booking must have at least one guest'],
+        validate: {
+            validator: function (value) {
+                return Number.isInteger(value) && (!this.rooms || value <= this.rooms * GUESTS_PER_ROOM);
+            },
+            message: `Guests must be a whole number of at most ${GUESTS_PER_ROOM} per room`
+        }
+    },
+    guestName: {
+        type: String,
+        required: [true, 'Guest name is required'],
+        trim: true,
+        maxlength: [100, 'Guest name must be at most 100 characters']
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Overlapping bookings of some hotels: equality on hotel, then a range on checkOut, which drops the
+// past bookings that make up most of the collection; checkIn is filtered from the index keys
+bookingSchema.index({ hotel: 1, checkOut: 1, checkIn: 1 }, { name: 'hotel_stay' });
+
+// Record slow queries and log every query with the request ID, as for hotels
+bookingSchema.plugin(queryProfiler);
+bookingSchema.plugin(queryLogger);
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const queryProfiler = require('./plugins/queryProfiler');
+const queryLogger = require('./plugins/queryLogger');
+
+// Rooms set aside while a guest checks out, deleted by its TTL index (declared in models/hotel.js) unless a
+// booking claims it first. Availability checks still skip holds whose expiresAt is in the past.
+const holdSchema = new mongoose.Schema({
+    hotel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hotel',
+        required: [true, 'Hotel is required']
+    },
+    checkIn: { type: Date, required: [true, 'Check-in date is required'] },
+    checkOut: { type: Date, required: [true, 'Check-out date is required'] },
+    rooms: {
+        type: Number,
+        required: [true, 'Number of rooms is required'],
+        min: [1, 'A hold must take at least one room']
+    },
+    expiresAt: { type: Date, required: [true, 'Expiry date is required'] }
+});
+
+// Holds overlapping a stay, laid out like the bookings' hotel_stay index
+holdSchema.index({ hotel: 1, checkOut: 1, checkIn: 1 }, { name: 'hotel_stay' });
+
+// Record slow queries and log every query with the request ID, as for hotels
+holdSchema.plugin(queryProfiler);
+holdSchema.plugin(queryLogger);
+
+const Hold = mongoose.model('Hold', holdSchema);
+
+module.exports = Hold;
@@ -1,18 +1,271 @@
 const mongoose = require('mongoose');
+const queryProfiler = require('./plugins/queryProfiler');
+const cacheInvalidation = require('./plugins/cacheInvalidation');
+const queryLogger = require('./plugins/queryLogger');
+const { logger } = require('../utils/logger');
+const QueryProfile = require('./queryProfile');
+const { buildAdvice } = require('../utils/indexAdvisor');
+const { buildIndex } = require('../utils/indexBuilds');
+const { TEXT_LANGUAGES } = require('../utils/textSearch');
+const { SUGGEST_FIELDS, edgeNgrams } = require('../utils/suggest');
+const { effectivePrice } = require('../utils/promotions');
+const { twoDecimals } = require('./validators');
+const Promotion = require('./promotion');
+const Hold = require('./hold');
+
+// Currencies prices may be quoted in
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY', 'AUD', 'CAD', 'INR'];
+
+// Amenities a hotel may list
+const AMENITIES = ['wifi', 'parking', 'pool', 'spa', 'gym', 'restaurant', 'bar', 'breakfast', 'pets', 'airport-shuttle', 'air-conditioning'];
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: {
+        type: [Number],
+        validate: {
+            validator: (value) => value.length === 2 && Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90,
+            message: 'Coordinates must be [longitude, latitude]'
+        }
+    }
+}, { _id: false });
 
 // Define the schema for the Hotel model
-const hotelSchema = new mongoose.Schema();
+const hotelSchema = new mongoose.Schema({
+    // Partner key used to upsert hotels on bulk import
+    externalId: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'External id must be at most 100 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Hotel name is required'],
+        trim: true,
+        maxlength: [200, 'Hotel name must be at most 200 characters']
+    },
+    location: {
+        type: String,
+        required: [true, 'Location is required'],
+        trim: true,
+        maxlength: [100, 'Location must be at most 100 characters']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price must not be negative'],
+        max: [1000000, 'Price must be at most 1000000'],
+        validate: twoDecimals
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'USD',
+        enum: { values: CURRENCIES, message: `Currency must be one of ${CURRENCIES.join(', ')}` }
+    },
+    rooms: {
+        type: Number,
+        required: [true, 'Number of rooms is required'],
+        min: [1, 'A hotel must have at least one room'],
+        max: [10000, 'Number of rooms must be at most 10000'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Number of rooms must be a whole number'
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Description must be at most 5000 characters']
+    },
+    // Language of name/description; the text index uses it for stemming and stop words
+    language: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: 'english',
+        enum: { values: TEXT_LANGUAGES, message: `Language must be one of ${TEXT_LANGUAGES.join(', ')}` }
+    },
+    // Map position for geospatial search; optional because not every partner sends one
+    geo: { type: pointSchema, default: undefined },
+    // Optional attributes. They have no defaults, so hotels without them stay out of the sparse and partial indexes.
+    amenities: {
+        type: [{
+            type: String,
+            lowercase: true,
+            trim: true,
+            enum: { values: AMENITIES, message: `Amenities must be among ${AMENITIES.join(', ')}` }
+        }],
+        default: undefined
+    },
+    stars: {
+        type: Number,
+        min: [1, 'Star rating must be between 1 and 5'],
+        max: [5, 'Star rating must be between 1 and 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Star rating must be a whole number'
+        }
+    },
+    featured: { type: Boolean },
+    // Free-form partner attributes (petFriendly, parking.type, ...), indexed by the attributes.$** wildcard index
+    attributes: {
+        type: mongoose.Schema.Types.Mixed,
+        validate: {
+            validator: (value) => value === null || (typeof value === 'object' && !Array.isArray(value)),
+            message: 'Attributes must be an object'
+        }
+    },
+    // Set when the hotel is soft deleted; null for active hotels
+    deletedAt: { type: Date, default: null },
+    // Denormalized from the hotel's reviews and only written by them; absent until the first review.
+    // No defaults, so replacing or re-importing a hotel can't reset them.
+    avgRating: { type: Number },
+    reviewCount: { type: Number },
+    ratingTotal: { type: Number },
+    // Bumped by every booking transaction so concurrent bookings of the hotel conflict instead of overbooking
+    bookingVersion: { type: Number, select: false },
+    // Normalized edge n-grams of name and location for /suggest; derived on validate and never returned
+    suggest: {
+        name: { type: [String], select: false },
+        location: { type: [String], select: false }
+    }
+}, {
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.suggest;
+            // Set by the read routes that show prices, from the hotel's best running promotion
+            if (doc.$locals && doc.$locals.promotion !== undefined) {
+                const { promotion } = doc.$locals;
+                ret.effectivePrice = effectivePrice(ret.price, promotion);
+                ret.promotion = promotion && { price: promotion.price, expiresAt: promotion.expiresAt };
+            }
+            return ret;
+        }
+    }
+});
 
 // 1. Single-Field Index (e.g., on 'location')
+hotelSchema.index({ location: 1 });
 
 // 2. Compound Index (e.g., on 'location' and 'price')
+hotelSchema.index({ location: 1, price: 1 });
 
 // 3. Text Index (e.g., on 'name' and 'description')
+// A match in the name ranks well above one in the description; each hotel's 'language' field picks the stemmer
+hotelSchema.index({ name: 'text', description: 'text' }, {
+    weights: { name: 10, description: 1 },
+    default_language: 'english',
+    language_override: 'language'
+});
 
-// Function to create a dynamic index if needed
+// 4. Geospatial Index (on 'geo'); hotels without a position are left out of it
+hotelSchema.index({ geo: '2dsphere' });
 
-// Ensure dynamic index creation after connection is established
+// 5. Unique external key for bulk import upserts; sparse so hotels created through the API don't need one
+hotelSchema.index({ externalId: 1 }, { unique: true, sparse: true });
+
+// 6. Prefix indexes for /suggest: equality on the n-gram and deletedAt, then ordered by the full value
+// so distinct values can be walked with one index seek each
+SUGGEST_FIELDS.forEach((field) => {
+    hotelSchema.index({ [`suggest.${field}`]: 1, deletedAt: 1, [field]: 1 });
+});
+
+// 7. Top rated hotels in a location: equality on location and deletedAt, then already in rating order
+hotelSchema.index({ location: 1, deletedAt: 1, avgRating: -1, reviewCount: -1 }, { name: 'top_rated_in_location' });
+
+// 8. TTL Indexes (on 'expiresAt'): promotions and holds live in their own collections (models/promotion.js,
+// models/hold.js). With expireAfterSeconds 0 MongoDB deletes each one once its own expiresAt has passed; the
+// TTL monitor runs about once a minute, so reads still compare expiresAt with now. Declared here, before either
+// model builds its indexes, so every index example sits in this file.
+Promotion.schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+Hold.schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 9. Partial Indexes: only hotels matching partialFilterExpression get an entry, so the index stays small.
+// The planner only considers one when the query's filter implies that expression (featured: true, stars >= 4).
+// The featured key leads so the key pattern differs from the full location+price index.
+hotelSchema.index({ featured: 1, location: 1, price: 1 }, { name: 'featured_location_price', partialFilterExpression: { featured: true } });
+hotelSchema.index({ price: 1, stars: 1 }, { name: 'upscale_price', partialFilterExpression: { stars: { $gte: 4 } } });
+
+// 10. Sparse Indexes: hotels without the field get no entry; usable only by queries that can't match such hotels
+hotelSchema.index({ stars: 1 }, { sparse: true });
+hotelSchema.index({ amenities: 1 }, { sparse: true });
+
+// 11. Wildcard Index: one index with an entry per attributes path, so partner attributes unknown to the
+// schema can be queried without an index of their own. It serves filters on a single path only.
+hotelSchema.index({ 'attributes.$**': 1 });
+
+// Keep the n-grams in step with name and location; runs before save and insertMany
+hotelSchema.pre('validate', function () {
+    SUGGEST_FIELDS.forEach((field) => {
+        this.set(`suggest.${field}`, edgeNgrams(this.get(field)));
+    });
+});
+
+// Exclude soft-deleted hotels from a query
+hotelSchema.query.notDeleted = function () {
+    return this.where({ deletedAt: null });
+};
+
+// Record slow find/aggregate queries in the query_profile collection
+hotelSchema.plugin(queryProfiler);
+
+// Log every query at debug level with the request ID of the request that ran it
+hotelSchema.plugin(queryLogger);
+
+// Drop cached responses that writes through this model may have changed
+hotelSchema.plugin(cacheInvalidation);
+
+// Suggest ESR-ordered indexes from the recorded workload; with `apply` the suggestions are created
+hotelSchema.statics.adviseIndexes = async function ({ apply = false, minQueries = 1 } = {}) {
+    const shapes = await QueryProfile.aggregate([
+        { $match: { collectionName: this.collection.collectionName } },
+        { $group: { _id: '$shapeKey', filter: { $first: '$filter' }, sort: { $first: '$sort' }, count: { $sum: 1 } } }
+    ]);
+
+    let indexes = [];
+    try {
+        indexes = await this.collection.indexes();
+    } catch (err) {
+        // NamespaceNotFound: the collection has not been created yet
+        if (err.code !== 26) {
+            throw err;
+        }
+    }
+
+    const advice = buildAdvice(
+        shapes.map((shape) => ({ filter: JSON.parse(shape.filter), sort: JSON.parse(shape.sort), count: shape.count })),
+        indexes,
+        { minQueries }
+    );
+
+    advice.applied = [];
+    if (apply) {
+        for (const suggestion of advice.suggestions) {
+            advice.applied.push(await buildIndex(this.collection, suggestion.key));
+        }
+    }
+    return advice;
+};
 
 const Hotel = mongoose.model('Hotel', hotelSchema);
 
+// Function to create a dynamic index if needed; workload-driven indexes are only built through the advice route
+const createDynamicIndex = async () => {
+    try {
+        await buildIndex(Hotel.collection, { price: 1 });
+    } catch (err) {
+        logger.error('Failed to create dynamic index on price', { err });
+    }
+};
+
+// Ensure dynamic index creation after connection is established
+if (mongoose.connection.readyState === 1) {
+    createDynamicIndex();
+} else {
+    mongoose.connection.once('open', createDynamicIndex);
+}
+
 module.exports = Hotel;
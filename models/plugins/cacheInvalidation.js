@@ -0,0 +1,30 @@
+const { invalidateHotel, clearCache } = require('../../utils/responseCache');
+
+// Query writes can touch any number of documents, so they empty the whole response cache
+const QUERY_WRITES = [
+    'deleteMany', 'deleteOne', 'findOneAndDelete', 'findOneAndRemove', 'findOneAndReplace',
+    'findOneAndUpdate', 'replaceOne', 'update', 'updateMany', 'updateOne'
+];
+
+// Keep the response cache in step with writes made through the model, whichever code path makes them.
+// Saves only drop the entries tagged with the hotel and its location (before and after the save).
+const cacheInvalidation = (schema) => {
+    schema.post('init', function () {
+        this.$locals.cachedLocation = this.location;
+    });
+
+    schema.post('save', async function () {
+        await invalidateHotel(this, this.$locals.cachedLocation);
+        this.$locals.cachedLocation = this.location;
+    });
+
+    schema.post('insertMany', async function () {
+        await clearCache();
+    });
+
+    schema.post(QUERY_WRITES, async function () {
+        await clearCache();
+    });
+};
+
+module.exports = cacheInvalidation;
@@ -0,0 +1,49 @@
+const { logger, currentContext } = require('../../utils/logger');
+const { shapeOf } = require('../../utils/queryShape');
+
+const QUERY_OPERATIONS = ['count', 'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'updateMany', 'updateOne'];
+
+const elapsedMs = (startedAt) => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+
+// Mongoose plugin writing a debug line per query with the request ID of the request that ran it.
+// The context is captured in the pre hook, which runs synchronously inside the request.
+const queryLogger = (schema) => {
+    schema.pre(QUERY_OPERATIONS, function () {
+        this._logContext = { startedAt: process.hrtime.bigint(), ...currentContext() };
+    });
+
+    schema.post(QUERY_OPERATIONS, function () {
+        const { startedAt, ...context } = this._logContext || {};
+        if (startedAt === undefined) {
+            return;
+        }
+        logger.debug('mongo query', {
+            ...context,
+            collection: this.mongooseCollection.collectionName,
+            operation: this.op,
+            filter: shapeOf(this.getFilter()),
+            sort: this.getOptions().sort,
+            durationMs: elapsedMs(startedAt)
+        });
+    });
+
+    schema.pre('aggregate', function () {
+        this._logContext = { startedAt: process.hrtime.bigint(), ...currentContext() };
+    });
+
+    schema.post('aggregate', function () {
+        const { startedAt, ...context } = this._logContext || {};
+        if (startedAt === undefined) {
+            return;
+        }
+        logger.debug('mongo query', {
+            ...context,
+            collection: this._model.collection.collectionName,
+            operation: 'aggregate',
+            stages: this.pipeline().map((stage) => Object.keys(stage)[0]),
+            durationMs: elapsedMs(startedAt)
+        });
+    });
+};
+
+module.exports = queryLogger;
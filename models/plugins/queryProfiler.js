@@ -0,0 +1,103 @@
+const config = require('../../config');
+const QueryProfile = require('../queryProfile');
+const { shapeOf, shapeKey } = require('../../utils/queryShape');
+const { summarizeExplain } = require('../../utils/explain');
+const { logger, currentContext } = require('../../utils/logger');
+
+// SLOW_QUERY_THRESHOLD_MS through the config loader; read per query so the setting can be changed at runtime
+const thresholdFor = (options) => (options.thresholdMs !== undefined ? options.thresholdMs : config.profiler.slowQueryThresholdMs);
+
+const elapsedMs = (startedAt) => Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+// Explain the slow query through the driver (bypassing this middleware) and store the record
+const recordSlowQuery = async (collection, { operation, filter, sort, projection, durationMs, requestId }, explainQuery) => {
+    let plan = { stage: null, indexName: null };
+    try {
+        plan = summarizeExplain(await explainQuery());
+    } catch (err) {
+        // The plan is best effort; the timing is still worth keeping
+    }
+
+    await QueryProfile.create({
+        collectionName: collection.collectionName,
+        operation,
+        shapeKey: shapeKey({ operation, filter, sort, projection }),
+        filter: JSON.stringify(shapeOf(filter || {})),
+        sort: JSON.stringify(sort || {}),
+        projection: JSON.stringify(shapeOf(projection || {})),
+        planStage: plan.stage,
+        indexName: plan.indexName,
+        durationMs,
+        requestId
+    });
+    logger.warn('slow query', {
+        requestId,
+        collection: collection.collectionName,
+        operation,
+        filter: shapeOf(filter || {}),
+        planStage: plan.stage,
+        indexName: plan.indexName,
+        durationMs
+    });
+};
+
+const record = (collection, query, explainQuery) => {
+    recordSlowQuery(collection, query, explainQuery)
+        .catch((err) => logger.error('Failed to record slow query', { requestId: query.requestId, err }));
+};
+
+// Mongoose plugin that times find/aggregate operations and persists the slow ones to query_profile
+const queryProfiler = (schema, options = {}) => {
+    // The request ID is read in the pre hooks, which still run inside the request's logging context
+    schema.pre(['find', 'findOne'], function () {
+        this._profileStartedAt = process.hrtime.bigint();
+        this._profileRequestId = currentContext().requestId;
+    });
+
+    schema.post(['find', 'findOne'], function () {
+        if (this._profileStartedAt === undefined || this.getOptions().explain) {
+            return;
+        }
+        const durationMs = elapsedMs(this._profileStartedAt);
+        if (durationMs < thresholdFor(options)) {
+            return;
+        }
+
+        const collection = this.model.collection;
+        const filter = this.getFilter();
+        const sort = this.getOptions().sort;
+        const projection = this.projection();
+        record(collection, { operation: this.op, filter, sort, projection, durationMs, requestId: this._profileRequestId },
+            () => collection.find(filter, { sort, projection }).explain('queryPlanner'));
+    });
+
+    schema.pre('aggregate', function () {
+        this._profileStartedAt = process.hrtime.bigint();
+        this._profileRequestId = currentContext().requestId;
+    });
+
+    schema.post('aggregate', function (result) {
+        // Aggregate#explain runs the same hooks but resolves to a plan instead of an array
+        if (this._profileStartedAt === undefined || !Array.isArray(result)) {
+            return;
+        }
+        const durationMs = elapsedMs(this._profileStartedAt);
+        if (durationMs < thresholdFor(options)) {
+            return;
+        }
+
+        const pipeline = this.pipeline();
+        const stageOf = (name) => (pipeline.find((stage) => stage[name]) || {})[name];
+        const collection = this._model.collection;
+        record(collection, {
+            operation: 'aggregate',
+            filter: stageOf('$match'),
+            sort: stageOf('$sort'),
+            projection: stageOf('$project'),
+            durationMs,
+            requestId: this._profileRequestId
+        }, () => collection.aggregate(pipeline).explain('queryPlanner'));
+    });
+};
+
+module.exports = queryProfiler;
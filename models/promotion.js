@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const queryProfiler = require('./plugins/queryProfiler');
+const queryLogger = require('./plugins/queryLogger');
+const { twoDecimals } = require('./validators');
+const { activeAt, bestPromotions } = require('../utils/promotions');
+
+// Time-boxed promotional price for a hotel, deleted by its TTL index (declared in models/hotel.js) once it expires
+const promotionSchema = new mongoose.Schema({
+    hotel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hotel',
+        required: [true, 'Hotel is required']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price must not be negative'],
+        max: [1000000, 'Price must be at most 1000000'],
+        validate: twoDecimals
+    },
+    startsAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: [true, 'Expiry date is required'] }
+});
+
+// Active promotions of the hotels being returned, and hotels promoted at or below a price
+promotionSchema.index({ hotel: 1, expiresAt: 1 });
+promotionSchema.index({ price: 1, expiresAt: 1 });
+
+// Lowest promotion running at `now` for each of the given hotels, keyed by hotel id, in one query
+promotionSchema.statics.bestFor = async function (hotelIds, now = new Date()) {
+    const promotions = await this.find({ hotel: { $in: hotelIds }, ...activeAt(now) }).sort({ price: 1 }).lean();
+    return bestPromotions(promotions);
+};
+
+// Lowest running promotion of every promoted hotel. Promotions are time-boxed and few next to hotels,
+// which lets price searches take the promoted hotels aside instead of joining every hotel to its promotions.
+promotionSchema.statics.bestRunning = async function (now = new Date()) {
+    const promotions = await this.find(activeAt(now)).sort({ price: 1 }).lean();
+    return bestPromotions(promotions);
+};
+
+// Record slow queries and log every query with the request ID, as for hotels
+promotionSchema.plugin(queryProfiler);
+promotionSchema.plugin(queryLogger);
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
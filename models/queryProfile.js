@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Define the schema for slow queries recorded by the query profiler
+// Shapes are stored as JSON strings because they contain operator keys such as $gt
+const queryProfileSchema = new mongoose.Schema({
+    collectionName: { type: String, required: true },
+    operation: { type: String, required: true },
+    shapeKey: { type: String, required: true },
+    filter: { type: String, default: '{}' },
+    sort: { type: String, default: '{}' },
+    projection: { type: String, default: '{}' },
+    planStage: { type: String, default: null },
+    indexName: { type: String, default: null },
+    durationMs: { type: Number, required: true },
+    // X-Request-Id of the request that ran the query, to find its log lines
+    requestId: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+}, { collection: 'query_profile', versionKey: false });
+
+// Report queries group by shape, optionally restricted to a time window
+queryProfileSchema.index({ shapeKey: 1, createdAt: -1 });
+
+// Records are dropped QUERY_PROFILE_RETENTION_SECONDS after they were taken (7 days by default)
+queryProfileSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.profiler.retentionSeconds });
+
+const QueryProfile = mongoose.model('QueryProfile', queryProfileSchema);
+
+module.exports = QueryProfile;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const queryProfiler = require('./plugins/queryProfiler');
+const queryLogger = require('./plugins/queryLogger');
+
+// Define the schema for the Review model
+const reviewSchema = new mongoose.Schema({
+    hotel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hotel',
+        required: [true, 'Hotel is required']
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number'
+        }
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Review text must be at most 5000 characters']
+    },
+    author: {
+        type: String,
+        required: [true, 'Author is required'],
+        trim: true,
+        maxlength: [100, 'Author must be at most 100 characters']
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A hotel's reviews, newest first: equality on hotel, then already in page order
+reviewSchema.index({ hotel: 1, createdAt: -1 });
+
+// Record slow queries and log every query with the request ID, as for hotels
+reviewSchema.plugin(queryProfiler);
+reviewSchema.plugin(queryLogger);
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,9 @@
+// Schema validators shared by the hotel and promotion models
+
+// Prices are stored in major units with at most two decimals
+const twoDecimals = {
+    validator: (value) => Math.abs(Math.round(value * 100) - value * 100) < 1e-6,
+    message: 'Price must have at most two decimal places'
+};
+
+module.exports = { twoDecimals };
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+
+// POST route to seed a small synthetic dataset for index benchmarks (development and test only; bulk seeding is `npm run seed`)
+router.post('/seed', adminController.seed);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const diagnosticsController = require('../controllers/diagnosticsController');
+const developmentOnly = require('../middleware/developmentOnly');
+
+// GET route to report slow queries grouped by shape with p50/p95/max latency
+router.get('/slow-queries', diagnosticsController.getSlowQueries);
+
+// GET route to suggest ESR-ordered indexes and flag redundant ones (?apply=true creates the suggestions)
+router.get('/index-advice', diagnosticsController.getIndexAdvice);
+
+// POST route to compare indexed vs. unindexed latency and scan counts for the /test-* queries on a scratch copy (one run at a time).
+// It copies the collection and builds indexes, so it is for development only and answers 404 in production.
+router.post('/benchmark', developmentOnly, diagnosticsController.runBenchmarks);
+
+// GET route to report response cache hits, misses and average latency of each
+router.get('/cache', diagnosticsController.getCacheStats);
+
+module.exports = router;
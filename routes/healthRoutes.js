@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/healthController');
+
+// GET routes for orchestrator probes: liveness and readiness
+router.get('/healthz', healthController.getHealth);
+router.get('/readyz', healthController.getReadiness);
+
+module.exports = router;
@@ -1,9 +1,89 @@
 const express = require('express');
 const router = express.Router();
 const hotelController = require('../controllers/hotelController');
+const indexController = require('../controllers/indexController');
+const bulkController = require('../controllers/bulkController');
+const reviewController = require('../controllers/reviewController');
+const bookingController = require('../controllers/bookingController');
+const promotionController = require('../controllers/promotionController');
+const responseCache = require('../middleware/responseCache');
+const restoreContext = require('../middleware/restoreContext');
+const developmentOnly = require('../middleware/developmentOnly');
+
+// Read routes answer from the response cache when they can; writes through the Hotel model invalidate it
+const cached = responseCache();
+
+// Bulk import (CSV, JSON array or NDJSON body) streams its own body, so it is routed before the JSON parser
+router.post('/import', bulkController.importHotels);
+
+router.use(express.json(), restoreContext);
 
 // POST route to create a hotel
+router.post('/', hotelController.createHotel);
+
+// GET route to search hotels (location, price/rooms ranges, q, sort, fields, page or cursor)
+router.get('/', cached, hotelController.searchHotels);
+
+// GET route to autocomplete hotel names or locations (?q=&field=name|location&limit=)
+router.get('/suggest', cached, hotelController.suggestHotels);
+
+// GET route for filter sidebar counts (search filters plus ?priceBuckets=&roomBuckets=&locations=)
+router.get('/facets', cached, hotelController.facetHotels);
 
 // GET routes to test query performance with different indexes
+// Each accepts ?explain=queryPlanner|executionStats|allPlansExecution to return the winning plan summary
+router.get('/test-single-field', cached, hotelController.testSingleFieldIndex);
+router.get('/test-compound', cached, hotelController.testCompoundIndex);
+router.get('/test-text', cached, hotelController.testTextIndex);
+router.get('/test-dynamic', cached, hotelController.testDynamicIndex);
+router.get('/test-geo', cached, hotelController.testGeoIndex);
+
+// GET route for hotels with free rooms for a stay (?location=&checkIn=&checkOut=&guests=, ?explain=)
+router.get('/available', cached, bookingController.availableHotels);
+
+// GET routes for optional attributes, served by partial and sparse indexes (?limit=, default 20);
+// ?explain= adds whether the planner picked the partial index
+router.get('/featured', cached, hotelController.featuredHotels);
+router.get('/by-stars', cached, hotelController.hotelsByStars);
+
+// GET route for hotels by a partner attribute (?path=&value=&limit=) through the wildcard index;
+// ?compare=true shows its plan next to an existing single-field index on the same path
+router.get('/by-attribute', cached, hotelController.hotelsByAttribute);
+
+// GET route for the best rated hotels in a location (?location=&minReviews=&limit=, ?explain=)
+router.get('/top-rated', cached, hotelController.topRatedHotels);
+
+// GET routes for geospatial search, each hit carries its distance in meters
+router.get('/near', cached, hotelController.nearHotels);
+router.get('/within', cached, hotelController.withinHotels);
+
+// Index management routes for the Hotel collection; listing with ?coverage=true adds what partial and sparse indexes cover.
+// Creating and dropping indexes is for development only and answers 404 in production.
+router.get('/indexes', indexController.listIndexes);
+router.post('/indexes', developmentOnly, indexController.createIndex);
+router.delete('/indexes/:name', developmentOnly, indexController.dropIndex);
+
+// Streaming export (?format=csv|json|ndjson)
+router.get('/export', bulkController.exportHotels);
+
+// CRUD routes for a single hotel (declared last so they don't shadow the fixed paths above)
+router.get('/:id', cached, hotelController.getHotel);
+router.put('/:id', hotelController.replaceHotel);
+router.patch('/:id', hotelController.updateHotel);
+router.delete('/:id', hotelController.deleteHotel);
+router.post('/:id/restore', hotelController.restoreHotel);
+
+// Reviews of a hotel (?page=&limit=, newest first)
+router.post('/:id/reviews', reviewController.createReview);
+router.get('/:id/reviews', cached, reviewController.listReviews);
+
+// Hold rooms during checkout ({ checkIn, checkOut, guests, rooms? }), then book them ({ ..., guestName, holdId? });
+// both need a replica set for transactions
+router.post('/:id/holds', bookingController.createHold);
+router.post('/:id/bookings', bookingController.createBooking);
+
+// Time-boxed promotional prices ({ price, startsAt?, expiresAt }); reads of the hotel show its effectivePrice
+router.post('/:id/promotions', promotionController.createPromotion);
+router.get('/:id/promotions', cached, promotionController.listPromotions);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+
+// GET route for Prometheus to scrape HTTP, MongoDB command, pool and index usage metrics
+router.get('/', metricsController.getMetrics);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseDotenv } = require('../../config/loadConfig');
+
+// Project root with the given files, so each test controls config/<env>.json and the .env files
+const roots = [];
+const projectWith = (files) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    roots.push(root);
+    fs.mkdirSync(path.join(root, 'config'));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(root, name), content));
+    return root;
+};
+
+afterAll(() => {
+    roots.forEach((root) => fs.rmSync(root, { recursive: true, force: true }));
+});
+
+let loadConfigFunctionalTest = `LoadConfig functional test`;
+
+describe('Load Config', () => {
+    describe('functional', () => {
+
+        // Test case for defaults
+        it(`${loadConfigFunctionalTest} should fall back to the previous hard-coded settings`, () => {
+            const config = loadConfig({ env: {}, root: projectWith({}) });
+
+            expect(config.env).toBe('development');
+            expect(config.port).toBe(8081);
+            expect(config.mongo.connectionUri).toBe('mongodb://0.0.0.0:27017/appdb');
+            expect(config.mongo.options).toEqual({
+                maxPoolSize: 100, minPoolSize: 0, serverSelectionTimeoutMS: 30000, connectTimeoutMS: 30000, socketTimeoutMS: 0
+            });
+        });
+
+        // Test case for precedence
+        it(`${loadConfigFunctionalTest} should prefer env vars over .env files over the JSON file of the environment`, () => {
+            const root = projectWith({
+                'config/test.json': JSON.stringify({ port: 3000, mongo: { host: 'json-host', dbName: 'jsondb', maxPoolSize: 5 } }),
+                '.env': 'MONGODB_HOST=dotenv-host\nMONGODB_DB=dotenvdb # trailing comment\n',
+                '.env.test': 'export MONGODB_DB="testdb"\n'
+            });
+            const config = loadConfig({ env: { NODE_ENV: 'test', PORT: '4000' }, root });
+
+            expect(config.port).toBe(4000);
+            expect(config.mongo.connectionUri).toBe('mongodb://dotenv-host:27017/testdb');
+            expect(config.mongo.maxPoolSize).toBe(5);
+        });
+
+        // Test case for Atlas-style settings
+        it(`${loadConfigFunctionalTest} should build SRV, credential, replica set and TLS options`, () => {
+            const config = loadConfig({
+                env: {
+                    NODE_ENV: 'production',
+                    MONGODB_HOST: 'cluster0.example.net',
+                    MONGODB_SRV: 'true',
+                    MONGODB_USERNAME: 'app',
+                    MONGODB_PASSWORD: 'p@ss:word',
+                    MONGODB_REPLICA_SET: 'rs0',
+                    MONGODB_TLS: 'yes'
+                },
+                root: projectWith({})
+            });
+
+            expect(config.mongo.connectionUri).toBe('mongodb+srv://cluster0.example.net/appdb');
+            expect(config.mongo.options).toMatchObject({ auth: { username: 'app', password: 'p@ss:word' }, replicaSet: 'rs0', tls: true });
+        });
+
+        // Test case for failing fast
+        it(`${loadConfigFunctionalTest} should list every invalid setting in one error`, () => {
+            const load = () => loadConfig({
+                env: { PORT: 'eighty', MONGODB_MAX_POOL_SIZE: '0', MONGODB_TLS: 'maybe', MONGODB_URI: 'http://db' },
+                root: projectWith({})
+            });
+
+            expect(load).toThrow(/PORT must be an integer \(got "eighty"\), from environment/);
+            expect(load).toThrow(/MONGODB_MAX_POOL_SIZE must be between 1 and 10000/);
+            expect(load).toThrow(/MONGODB_TLS must be true or false/);
+            expect(load).toThrow(/MONGODB_URI must match/);
+            expect(() => loadConfig({ env: { MONGODB_PASSWORD: 'secret' }, root: projectWith({}) })).toThrow(/must be set together/);
+            expect(() => loadConfig({ env: { NODE_ENV: 'staging' }, root: projectWith({}) })).toThrow(/NODE_ENV must be one of/);
+            expect(() => loadConfig({ env: { NODE_ENV: 'production' }, root: projectWith({}) })).toThrow(/Set MONGODB_URI or MONGODB_HOST/);
+            expect(() => loadConfig({ env: {}, root: projectWith({ 'config/development.json': '{ port: 1 }' }) })).toThrow(/not valid JSON/);
+        });
+
+        // Test case for the .env parser
+        it(`${loadConfigFunctionalTest} should parse quoted values and skip comments`, () => {
+            expect(parseDotenv('# comment\nA=1\nB = "two words"\nC=\'#not a comment\'\n\nnot a line')).toEqual({
+                A: '1', B: 'two words', C: '#not a comment'
+            });
+        });
+
+        // Test case for the response cache settings
+        it(`${loadConfigFunctionalTest} should read and validate the response cache settings`, () => {
+            expect(loadConfig({ env: {}, root: projectWith({}) }).cache).toEqual({ store: 'lru', redisUrl: undefined, ttlSeconds: 60, maxEntries: 1000 });
+
+            const config = loadConfig({ env: { CACHE_STORE: 'redis', REDIS_URL: 'redis://cache:6379', CACHE_TTL_SECONDS: '5' }, root: projectWith({}) });
+            expect(config.cache).toEqual(expect.objectContaining({ store: 'redis', redisUrl: 'redis://cache:6379', ttlSeconds: 5 }));
+
+            expect(() => loadConfig({ env: { CACHE_STORE: 'memcached', CACHE_TTL_SECONDS: '0' }, root: projectWith({}) }))
+                .toThrow(/CACHE_STORE must match[\s\S]*CACHE_TTL_SECONDS must be at least 1/);
+        });
+
+        // Test case for the query profiler settings
+        it(`${loadConfigFunctionalTest} should read and validate the query profiler settings`, () => {
+            expect(loadConfig({ env: {}, root: projectWith({}) }).profiler).toEqual({ slowQueryThresholdMs: 100, retentionSeconds: 604800 });
+            expect(loadConfig({ env: { SLOW_QUERY_THRESHOLD_MS: '0' }, root: projectWith({}) }).profiler.slowQueryThresholdMs).toBe(0);
+
+            expect(() => loadConfig({ env: { SLOW_QUERY_THRESHOLD_MS: '-5', QUERY_PROFILE_RETENTION_SECONDS: 'week' }, root: projectWith({}) }))
+                .toThrow(/SLOW_QUERY_THRESHOLD_MS must be at least 0[\s\S]*QUERY_PROFILE_RETENTION_SECONDS must be an integer/);
+        });
+    });
+});
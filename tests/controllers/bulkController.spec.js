@@ -0,0 +1,137 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');  // Your Express app
+const Hotel = require('../../models/hotel');  // Hotel model
+const QueryCursor = require('mongoose/lib/cursor/QueryCursor');
+
+let mongoServer;
+
+beforeAll(async () => {
+    // Start an in-memory MongoDB server before tests
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
+    await Hotel.init();
+});
+
+afterAll(async () => {
+    // Close the in-memory MongoDB server after tests
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+let bulkControllerBoundaryTest = `BulkController boundary test`;
+
+describe('Bulk Controller', () => {
+    describe('boundary', () => {
+
+        // Test case for a CSV import with a bad row
+        it(`${bulkControllerBoundaryTest} should import CSV rows and report row-level errors`, async () => {
+            const csv = [
+                'externalId,name,location,price,rooms,description',
+                'p-1,Sunset Resort,California,200,50,"Beachfront, with a pool"',
+                'p-2,,California,150,20,',
+                'p-3,Mountain Retreat,Switzerland,400,60,'
+            ].join('\n');
+
+            const response = await request(app)
+                .post('/api/hotels/import')
+                .set('Content-Type', 'text/csv')
+                .send(csv);
+
+            expect(response.status).toBe(200);
+            expect(response.body.inserted).toBe(2);
+            expect(response.body.failed).toBe(1);
+            expect(response.body.errors[0].row).toBe(2);
+            expect(response.body.errors[0].errors[0].path).toBe('name');
+        });
+
+        // Test case for upserting by external key
+        it(`${bulkControllerBoundaryTest} should update hotels that share an external key`, async () => {
+            const ndjson = [
+                JSON.stringify({ externalId: 'p-1', name: 'Sunset Resort', location: 'California', price: 220, rooms: 50 }),
+                JSON.stringify({ name: 'Walk-in Inn', location: 'Texas', price: 80, rooms: 10 })
+            ].join('\n');
+
+            const response = await request(app)
+                .post('/api/hotels/import')
+                .set('Content-Type', 'application/x-ndjson')
+                .send(ndjson);
+
+            expect(response.body).toMatchObject({ inserted: 1, updated: 1, failed: 0 });
+            expect((await Hotel.findOne({ externalId: 'p-1' })).price).toBe(220);
+        });
+
+        // Test case for a JSON array import
+        it(`${bulkControllerBoundaryTest} should import a JSON array body`, async () => {
+            const response = await request(app)
+                .post('/api/hotels/import')
+                .set('Content-Type', 'application/json')
+                .send(JSON.stringify([{ externalId: 'p-4', name: 'Harbor Lodge', location: 'Oslo', price: 120, rooms: 30 }]));
+
+            expect(response.body).toMatchObject({ inserted: 1, failed: 0 });
+        });
+
+        // Test case for unsupported bodies
+        it(`${bulkControllerBoundaryTest} should return 415 for an unsupported content type`, async () => {
+            const response = await request(app)
+                .post('/api/hotels/import')
+                .set('Content-Type', 'text/plain')
+                .send('hello');
+
+            expect(response.status).toBe(415);
+        });
+
+        // Test case for the streaming exports
+        it(`${bulkControllerBoundaryTest} should export active hotels as CSV, JSON and NDJSON`, async () => {
+            const total = await Hotel.countDocuments({ deletedAt: null });
+
+            const csv = await request(app).get('/api/hotels/export?format=csv');
+            expect(csv.status).toBe(200);
+            expect(csv.headers['content-type']).toMatch(/text\/csv/);
+            expect(csv.text.trim().split('\n')).toHaveLength(total + 1);
+            expect(csv.text).toContain('"Beachfront, with a pool"');
+
+            const json = await request(app).get('/api/hotels/export');
+            expect(JSON.parse(json.text)).toHaveLength(total);
+
+            const ndjson = await request(app).get('/api/hotels/export?format=ndjson').buffer(true).parse((res, callback) => {
+                let text = '';
+                res.on('data', (chunk) => { text += chunk; });
+                res.on('end', () => callback(null, text));
+            });
+            expect(ndjson.body.trim().split('\n').map((line) => JSON.parse(line))).toHaveLength(total);
+        });
+
+        // Test case for a client leaving mid-export
+        it(`${bulkControllerBoundaryTest} should stop the export and close the cursor when the client disconnects`, async () => {
+            const description = 'x'.repeat(2000);
+            await Hotel.insertMany(Array.from({ length: 2000 }, (_, i) => ({ name: `Export ${i}`, location: 'Exportville', price: 100, rooms: 10, description })));
+            const close = jest.spyOn(QueryCursor.prototype, 'close');
+
+            const server = http.createServer(app).listen(0);
+            try {
+                // Read the headers only, so the server fills the socket and waits for 'drain', then hang up
+                await new Promise((resolve, reject) => {
+                    const req = http.get(`http://127.0.0.1:${server.address().port}/api/hotels/export?format=ndjson`, (res) => {
+                        res.pause();
+                        setTimeout(() => {
+                            req.destroy();
+                            resolve();
+                        }, 200);
+                    });
+                    req.on('error', reject);
+                });
+                for (let i = 0; i < 50 && close.mock.calls.length === 0; i++) {
+                    await new Promise((resolve) => setTimeout(resolve, 20));
+                }
+                expect(close).toHaveBeenCalled();
+            } finally {
+                close.mockRestore();
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+    });
+});
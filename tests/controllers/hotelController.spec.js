@@ -72,6 +72,18 @@ describe('Hotel Controller', () => {
             expect(response.status).toBe(400);  // Status 400 for bad request
         });
 
+        // Test case for field-level validation errors
+        it(`${hotelControllerBoundaryTest} should report each invalid field with its path, message and value`, async () => {
+            const response = await request(app)
+                .post('/api/hotels')
+                .send({ location: 'California', price: -5, rooms: 50, currency: 'XYZ' });
+
+            expect(response.status).toBe(400);
+            const paths = response.body.errors.map((error) => error.path);
+            expect(paths).toEqual(expect.arrayContaining(['name', 'price', 'currency']));
+            expect(response.body.errors.find((error) => error.path === 'price').value).toBe(-5);
+        });
+
         // Test case for creating a hotel with empty strings
         it(`${hotelControllerBoundaryTest} should return an error if name or location is an empty string`, async () => {
             const hotelData = {
@@ -260,5 +272,284 @@ describe('Hotel Controller', () => {
             expect(Array.isArray(response.body)).toBe(true);  // Should return an array of hotels
             expect(response.body.length).toBeGreaterThan(0);  // Should return at least one hotel
         });
+
+        // Test case for returning the query plan summary next to the results
+        it(`${hotelControllerBoundaryTest} should return the winning plan when explain is requested`, async () => {
+            const response = await request(app)
+                .get('/api/hotels/test-single-field?location=California&explain=executionStats');
+
+            expect(response.status).toBe(200);
+            expect(Array.isArray(response.body.hotels)).toBe(true);
+            expect(response.body.explain.stage).toBe('IXSCAN');
+            expect(response.body.explain.indexName).toMatch(/^location_1/);
+            expect(response.body.explain.nReturned).toBe(response.body.hotels.length);
+        });
+
+        // Test case for an unsupported explain verbosity
+        it(`${hotelControllerBoundaryTest} should return 400 for an unknown explain verbosity`, async () => {
+            const response = await request(app)
+                .get('/api/hotels/test-text?search=beachfront&explain=verbose');
+
+            expect(response.status).toBe(400);
+        });
+
+        // Test case for reading a hotel by id
+        it(`${hotelControllerBoundaryTest} should return a hotel by id`, async () => {
+            const response = await request(app).get(`/api/hotels/${createdHotelId}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.name).toBe('Sunset Resort');
+        });
+
+        // Test case for a partial update
+        it(`${hotelControllerBoundaryTest} should only update the fields given to PATCH`, async () => {
+            const response = await request(app)
+                .patch(`/api/hotels/${createdHotelId}`)
+                .send({ price: 250 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.hotel.price).toBe(250);
+            expect(response.body.hotel.location).toBe('California');
+        });
+
+        // Test case for a full replacement missing required fields
+        it(`${hotelControllerBoundaryTest} should return 400 when PUT omits required fields`, async () => {
+            const response = await request(app)
+                .put(`/api/hotels/${createdHotelId}`)
+                .send({ name: 'Sunset Resort' });
+
+            expect(response.status).toBe(400);
+        });
+
+        // Test case for soft delete and restore
+        it(`${hotelControllerBoundaryTest} should soft delete a hotel, hide it from index queries and restore it`, async () => {
+            const hotel = await Hotel.create({ name: 'Hidden Inn', location: 'Atlantis', price: 90, rooms: 5 });
+
+            const deleted = await request(app).delete(`/api/hotels/${hotel._id}`);
+            expect(deleted.status).toBe(200);
+            expect((await Hotel.findById(hotel._id)).deletedAt).not.toBeNull();
+
+            const hidden = await request(app).get('/api/hotels/test-single-field?location=Atlantis');
+            expect(hidden.body).toHaveLength(0);
+            expect((await request(app).get(`/api/hotels/${hotel._id}`)).status).toBe(404);
+
+            const restored = await request(app).post(`/api/hotels/${hotel._id}/restore`);
+            expect(restored.status).toBe(200);
+
+            const visible = await request(app).get('/api/hotels/test-single-field?location=Atlantis');
+            expect(visible.body).toHaveLength(1);
+        });
+
+        // Test case for malformed ids
+        it(`${hotelControllerBoundaryTest} should return 400 for an invalid ObjectId`, async () => {
+            const response = await request(app).get('/api/hotels/not-an-id');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toMatch(/Invalid _id/);
+        });
+
+        // Test case for searching with filters and offset pagination
+        it(`${hotelControllerBoundaryTest} should search hotels by location and price range using the compound index`, async () => {
+            const response = await request(app)
+                .get('/api/hotels?location=California&minPrice=100&maxPrice=400&sort=price&limit=1');
+
+            expect(response.status).toBe(200);
+            expect(response.body.hotels).toHaveLength(1);
+            expect(response.body.meta.total).toBeGreaterThan(1);
+            expect(response.body.meta.index).toBe('location_1_price_1');
+            expect(response.body.meta.pages).toBe(response.body.meta.total);
+        });
+
+        // Test case for full-text search with a projection
+        it(`${hotelControllerBoundaryTest} should search hotels by text and return only the selected fields`, async () => {
+            const response = await request(app).get('/api/hotels?q=beachfront&fields=name&sort=score');
+
+            expect(response.status).toBe(200);
+            expect(response.body.meta.index).toBe('text');
+            expect(response.body.hotels.length).toBeGreaterThan(0);
+            expect(response.body.hotels[0].location).toBeUndefined();
+        });
+
+        // Test case for keyset pagination
+        it(`${hotelControllerBoundaryTest} should page through hotels with a price cursor without repeats`, async () => {
+            const seen = [];
+            let cursor = '';
+            do {
+                const response = await request(app).get(`/api/hotels?sort=price&limit=2&cursor=${cursor}`);
+                expect(response.status).toBe(200);
+                seen.push(...response.body.hotels.map((hotel) => hotel._id));
+                cursor = response.body.meta.nextCursor;
+            } while (cursor);
+
+            expect(new Set(seen).size).toBe(seen.length);
+            expect(seen.length).toBe(await Hotel.countDocuments({ deletedAt: null }));
+        });
+
+        // Test case for searching hotels near a point
+        it(`${hotelControllerBoundaryTest} should return nearby hotels ordered by distance`, async () => {
+            await Hotel.create([
+                { name: 'Golden Gate Inn', location: 'San Francisco', price: 220, rooms: 30, geo: { coordinates: [-122.4783, 37.8199] } },
+                { name: 'Union Square Hotel', location: 'San Francisco', price: 260, rooms: 90, geo: { coordinates: [-122.4075, 37.7880] } },
+                { name: 'Oakland Stay', location: 'Oakland', price: 140, rooms: 40, geo: { coordinates: [-122.2711, 37.8044] } }
+            ]);
+
+            const response = await request(app).get('/api/hotels/near?lng=-122.4194&lat=37.7749&maxDistance=10000');
+
+            expect(response.status).toBe(200);
+            expect(response.body.map((hotel) => hotel.name)).toEqual(['Union Square Hotel', 'Golden Gate Inn']);
+            expect(response.body[0].distance).toBeLessThan(response.body[1].distance);
+        });
+
+        // Test case for searching hotels inside a box
+        it(`${hotelControllerBoundaryTest} should return hotels inside a box with their distance`, async () => {
+            const response = await request(app).get('/api/hotels/within?box=-122.3,37.7,-122.2,37.9');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0].name).toBe('Oakland Stay');
+            expect(typeof response.body[0].distance).toBe('number');
+        });
+
+        // Test case for comparing the geo query with and without the 2dsphere index
+        it(`${hotelControllerBoundaryTest} should explain the geo query with and without the 2dsphere index`, async () => {
+            const response = await request(app)
+                .get('/api/hotels/test-geo?lng=-122.4194&lat=37.7749&maxDistance=10000&explain=executionStats');
+
+            expect(response.status).toBe(200);
+            expect(response.body.hotels).toHaveLength(2);
+            expect(response.body.explain.stage).toBe('IXSCAN');
+            expect(response.body.explain.indexName).toBe('geo_2dsphere');
+            expect(response.body.withoutIndex.stage).toBe('COLLSCAN');
+        });
+
+        // Test case for invalid coordinates
+        it(`${hotelControllerBoundaryTest} should return 400 for coordinates out of range`, async () => {
+            const response = await request(app).get('/api/hotels/near?lng=190&lat=0');
+
+            expect(response.status).toBe(400);
+        });
+
+        // Test case for relevance ranking with field weights
+        it(`${hotelControllerBoundaryTest} should rank name matches above description matches and highlight them`, async () => {
+            await Hotel.create([
+                { name: 'Lagoon Bay Lodge', location: 'Fiji', price: 300, rooms: 20, description: 'Quiet rooms near the water.' },
+                { name: 'Reef House', location: 'Fiji', price: 280, rooms: 25, description: 'Walk from the lagoon to the reef.' }
+            ]);
+
+            const response = await request(app).get('/api/hotels/test-text?search=lagoon');
+
+            expect(response.status).toBe(200);
+            expect(response.body.map((hotel) => hotel.name)).toEqual(['Lagoon Bay Lodge', 'Reef House']);
+            expect(response.body[0].score).toBeGreaterThan(response.body[1].score);
+            expect(response.body[0].highlights.name).toBe('<mark>Lagoon</mark> Bay Lodge');
+            expect(response.body[1].highlights.description).toContain('<mark>lagoon</mark>');
+        });
+
+        // Test case for phrase and negation queries
+        it(`${hotelControllerBoundaryTest} should support exact phrases and negated terms`, async () => {
+            const phrase = await request(app).get(`/api/hotels/test-text?search=${encodeURIComponent('"the reef"')}`);
+            expect(phrase.body.map((hotel) => hotel.name)).toEqual(['Reef House']);
+
+            const negated = await request(app).get(`/api/hotels/test-text?search=${encodeURIComponent('lagoon -reef')}`);
+            expect(negated.body.map((hotel) => hotel.name)).toEqual(['Lagoon Bay Lodge']);
+        });
+
+        // Test case for per-document and per-request languages
+        it(`${hotelControllerBoundaryTest} should stem with the hotel's language or the requested one`, async () => {
+            await Hotel.create({ name: 'Hôtel des Plages', location: 'Nice', price: 180, rooms: 35, language: 'french', description: 'Chambres avec vue sur les plages.' });
+
+            const response = await request(app).get('/api/hotels/test-text?search=plage&language=french');
+            expect(response.status).toBe(200);
+            expect(response.body.map((hotel) => hotel.name)).toContain('Hôtel des Plages');
+
+            const invalid = await request(app).get('/api/hotels/test-text?search=plage&language=klingon');
+            expect(invalid.status).toBe(400);
+        });
+
+        // Test case for autocomplete
+        it(`${hotelControllerBoundaryTest} should suggest distinct locations by accent-insensitive prefix`, async () => {
+            await Hotel.create([
+                { name: 'Lakeside Inn', location: 'Zürich', price: 210, rooms: 30 },
+                { name: 'Old Town Rooms', location: 'Zürich', price: 150, rooms: 12 },
+                { name: 'Zug Lodge', location: 'Zug', price: 120, rooms: 8 }
+            ]);
+
+            const response = await request(app).get('/api/hotels/suggest?q=zu&field=location');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ field: 'location', suggestions: ['Zug', 'Zürich'] });
+        });
+
+        // Test case for word prefixes, soft-deleted hotels and the hidden n-grams
+        it(`${hotelControllerBoundaryTest} should complete any word of a name and skip deleted hotels`, async () => {
+            const created = await request(app).post('/api/hotels').send({ name: 'Lakeview Motel', location: 'Geneva', price: 90, rooms: 10 });
+            expect(created.body.hotel.suggest).toBeUndefined();
+            await request(app).delete(`/api/hotels/${created.body._id}`);
+
+            const response = await request(app).get('/api/hotels/suggest?q=LAKE');
+            expect(response.body.suggestions).toEqual(['Lakeside Inn']);
+
+            const byWord = await request(app).get('/api/hotels/suggest?q=town');
+            expect(byWord.body.suggestions).toEqual(['Old Town Rooms']);
+
+            const invalid = await request(app).get('/api/hotels/suggest?q=la&field=price');
+            expect(invalid.status).toBe(400);
+        });
+
+        // Test case for facet counts
+        it(`${hotelControllerBoundaryTest} should count locations, price buckets and room ranges for the filtered hotels`, async () => {
+            await Hotel.create([
+                { name: 'Facet One', location: 'Faceville', price: 40, rooms: 5 },
+                { name: 'Facet Two', location: 'Faceville', price: 120, rooms: 60 },
+                { name: 'Facet Three', location: 'Faceville', price: 700, rooms: 12 }
+            ]);
+
+            const response = await request(app).get('/api/hotels/facets?location=Faceville&priceBuckets=0,100,500&roomBuckets=1,10,50');
+
+            expect(response.status).toBe(200);
+            expect(response.body.facets).toEqual({
+                locations: [{ location: 'Faceville', count: 3 }],
+                price: [{ min: 0, max: 100, count: 1 }, { min: 100, max: 500, count: 1 }, { min: 500, max: null, count: 1 }],
+                rooms: [{ min: 1, max: 10, count: 1 }, { min: 10, max: 50, count: 1 }, { min: 50, max: null, count: 1 }],
+                priceStats: { min: 40, max: 700, avg: 286.67, count: 3 }
+            });
+            expect(response.body.meta.index).toBe('location_1');
+        });
+
+        // Test case for the index behind the $match stage
+        it(`${hotelControllerBoundaryTest} should report the compound index for location and price filters`, async () => {
+            const response = await request(app).get('/api/hotels/facets?location=Faceville&minPrice=100&explain=queryPlanner');
+
+            expect(response.status).toBe(200);
+            expect(response.body.facets.priceStats.count).toBe(2);
+            expect(response.body.meta.index).toBe('location_1_price_1');
+            expect(response.body.meta.explain).toMatchObject({ stage: 'IXSCAN', indexName: 'location_1_price_1' });
+
+            const invalid = await request(app).get('/api/hotels/facets?priceBuckets=5,1');
+            expect(invalid.status).toBe(400);
+        });
+
+        // Test case for cache invalidation on writes
+        it(`${hotelControllerBoundaryTest} should refresh cached location queries when a hotel there is written`, async () => {
+            const url = '/api/hotels/test-single-field?location=Cacheton';
+            await Hotel.create({ name: 'Cache Inn', location: 'Cacheton', price: 100, rooms: 10 });
+
+            await request(app).get(url);
+            const cachedResponse = await request(app).get(url);
+            expect(cachedResponse.headers['x-cache']).toBe('HIT');
+
+            const created = await request(app).post('/api/hotels').send({ name: 'Cache Lodge', location: 'Cacheton', price: 120, rooms: 12 });
+            const afterCreate = await request(app).get(url);
+            expect(afterCreate.headers['x-cache']).toBe('MISS');
+            expect(afterCreate.body).toHaveLength(2);
+
+            // Moving the hotel away invalidates its old location as well
+            await request(app).patch(`/api/hotels/${created.body._id}`).send({ location: 'Elsewhere' });
+            const afterMove = await request(app).get(url);
+            expect(afterMove.body).toHaveLength(1);
+
+            const stats = await request(app).get('/api/diagnostics/cache');
+            expect(stats.body).toMatchObject({ store: 'lru', hits: expect.any(Number), misses: expect.any(Number) });
+        });
     });
 });
@@ -0,0 +1,37 @@
+const express = require('express');
+const request = require('supertest');
+const developmentOnly = require('../../middleware/developmentOnly');
+const config = require('../../config');
+
+// App with one guarded route; errors are reduced to their status
+const app = express();
+app.get('/guarded', developmentOnly, (req, res) => res.status(200).json({ ok: true }));
+app.use((err, req, res, next) => res.status(err.status).end());
+
+let developmentOnlyBoundaryTest = `DevelopmentOnly boundary test`;
+
+describe('Development Only', () => {
+    describe('boundary', () => {
+
+        // Test case for development and test environments
+        it(`${developmentOnlyBoundaryTest} should pass requests through outside production`, async () => {
+            const res = await request(app).get('/guarded');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual({ ok: true });
+        });
+
+        // Test case for production
+        it(`${developmentOnlyBoundaryTest} should answer 404 in production`, async () => {
+            const env = config.env;
+            config.env = 'production';
+            try {
+                const res = await request(app).get('/guarded');
+
+                expect(res.status).toBe(404);
+            } finally {
+                config.env = env;
+            }
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const createError = require('http-errors');
+const errorHandler = require('../../middleware/errorHandler');
+const Hotel = require('../../models/hotel');
+const config = require('../../config');
+const { logger, runWithContext, currentContext } = require('../../utils/logger');
+
+// Minimal response double that records the status and body
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+let errorHandlerBoundaryTest = `ErrorHandler boundary test`;
+
+describe('Error Handler', () => {
+    describe('boundary', () => {
+
+        // Test case for schema validation errors
+        it(`${errorHandlerBoundaryTest} should list every invalid field of a ValidationError`, () => {
+            const err = new Hotel({ name: '', location: 'Paris', price: 'cheap', rooms: 2.5, currency: 'xyz' }).validateSync();
+            const res = mockResponse();
+
+            errorHandler(err, {}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            const body = res.json.mock.calls[0][0];
+            expect(body.message).toBe('Validation failed');
+            expect(body.errors).toEqual(expect.arrayContaining([
+                { path: 'name', message: 'Hotel name is required', value: '' },
+                { path: 'price', message: 'price must be a valid Number', value: 'cheap' },
+                { path: 'rooms', message: 'Number of rooms must be a whole number', value: 2.5 },
+                expect.objectContaining({ path: 'currency', value: 'XYZ' })
+            ]));
+        });
+
+        // Test case for cast errors on ids
+        it(`${errorHandlerBoundaryTest} should map a CastError to a 400 with the rejected value`, () => {
+            const res = mockResponse();
+
+            errorHandler(new mongoose.Error.CastError('ObjectId', 'abc', '_id'), {}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].errors).toEqual([{ path: '_id', message: '_id must be a valid ObjectId', value: 'abc' }]);
+        });
+
+        // Test case for http errors
+        it(`${errorHandlerBoundaryTest} should keep the status of http errors without field errors`, () => {
+            const res = mockResponse();
+
+            errorHandler(createError(404, 'Hotel not found'), {}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json.mock.calls[0][0].message).toBe('Hotel not found');
+            expect(res.json.mock.calls[0][0].errors).toBeUndefined();
+        });
+
+        // Test case for error logging
+        it(`${errorHandlerBoundaryTest} should log server errors with the request ID and hide the stack in production`, () => {
+            const logged = [];
+            const error = jest.spyOn(logger, 'error').mockImplementation((msg, fields) => logged.push({ msg, ...currentContext(), ...fields }));
+            const res = mockResponse();
+            const env = config.env;
+            config.env = 'production';
+            try {
+                runWithContext({ requestId: 'req-7' }, () => {
+                    errorHandler(new Error('db down'), { method: 'GET', originalUrl: '/api/hotels' }, res, jest.fn());
+                });
+            } finally {
+                config.env = env;
+                error.mockRestore();
+            }
+
+            expect(logged).toEqual([expect.objectContaining({ msg: 'request failed', requestId: 'req-7', method: 'GET', url: '/api/hotels', status: 500 })]);
+            expect(res.json.mock.calls[0][0].stack).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+const createError = require('http-errors');
+const requestContext = require('../../middleware/requestContext');
+const restoreContext = require('../../middleware/restoreContext');
+const errorHandler = require('../../middleware/errorHandler');
+const { logger, currentContext } = require('../../utils/logger');
+
+// App echoing the request ID seen by the handler after an await
+const app = express();
+app.use(requestContext);
+app.get('/echo', async (req, res) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    logger.info('handled');
+    res.status(200).json({ id: req.id, context: currentContext().requestId });
+});
+app.post('/echo', express.json(), restoreContext, async (req, res, next) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    logger.info('handled');
+    if (req.body.fail) {
+        return next(createError(422, 'rejected'));
+    }
+    res.status(201).json({ id: req.id, context: currentContext().requestId });
+});
+app.use(errorHandler);
+
+let requestContextBoundaryTest = `RequestContext boundary test`;
+
+describe('Request Context', () => {
+    describe('boundary', () => {
+
+        // Each logger.info call with the request ID in effect when it was made
+        let lines;
+        beforeEach(() => {
+            lines = [];
+            jest.spyOn(logger, 'info').mockImplementation((msg, fields) => lines.push({ msg, ...currentContext(), ...fields }));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        // Test case for propagated IDs
+        it(`${requestContextBoundaryTest} should propagate a valid X-Request-Id into the handler, the response and the logs`, async () => {
+            const res = await request(app).get('/echo').set('X-Request-Id', 'trace-42');
+
+            expect(res.headers['x-request-id']).toBe('trace-42');
+            expect(res.body).toEqual({ id: 'trace-42', context: 'trace-42' });
+            expect(lines).toEqual(expect.arrayContaining([
+                expect.objectContaining({ msg: 'handled', requestId: 'trace-42' }),
+                expect.objectContaining({ msg: 'request completed', requestId: 'trace-42', method: 'GET', url: '/echo', status: 200 })
+            ]));
+        });
+
+        // Test case for generated IDs
+        it(`${requestContextBoundaryTest} should generate an ID when the header is missing or malformed`, async () => {
+            const missing = await request(app).get('/echo');
+            const malformed = await request(app).get('/echo').set('X-Request-Id', '<script>alert(1)</script>');
+
+            [missing, malformed].forEach((res) => {
+                expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+                expect(res.body.context).toBe(res.headers['x-request-id']);
+            });
+            expect(missing.headers['x-request-id']).not.toBe(malformed.headers['x-request-id']);
+        });
+
+        // Test case for requests with a parsed body
+        it(`${requestContextBoundaryTest} should keep the request ID after the JSON parser, in the handler, error and access logs`, async () => {
+            jest.spyOn(logger, 'warn').mockImplementation((msg, fields) => lines.push({ msg, ...currentContext(), ...fields }));
+
+            const created = await request(app).post('/echo').set('X-Request-Id', 'abc-123').send({ name: 'Sunset' });
+            const failed = await request(app).post('/echo').set('X-Request-Id', 'abc-456').send({ fail: true });
+
+            expect(created.body).toEqual({ id: 'abc-123', context: 'abc-123' });
+            expect(failed.status).toBe(422);
+            expect(lines).toEqual(expect.arrayContaining([
+                expect.objectContaining({ msg: 'handled', requestId: 'abc-123' }),
+                expect.objectContaining({ msg: 'request completed', requestId: 'abc-123', method: 'POST', status: 201 }),
+                expect.objectContaining({ msg: 'handled', requestId: 'abc-456' }),
+                expect.objectContaining({ msg: 'request failed', requestId: 'abc-456', status: 422 }),
+                expect.objectContaining({ msg: 'request completed', requestId: 'abc-456', status: 422 })
+            ]));
+        });
+    });
+});
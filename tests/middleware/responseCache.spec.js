@@ -0,0 +1,95 @@
+const express = require('express');
+const request = require('supertest');
+const responseCache = require('../../middleware/responseCache');
+const { useCacheStore, invalidateHotel, clearCache, cacheStats } = require('../../utils/responseCache');
+const { createLruStore } = require('../../utils/cacheStores');
+
+// Tiny app counting how often the handlers behind the cache run
+let calls;
+const app = express();
+app.get('/hotels', responseCache(), (req, res) => {
+    calls++;
+    res.status(200).json({ location: req.query.location, calls });
+});
+app.get('/hotels/:id', responseCache(), (req, res) => {
+    calls++;
+    res.status(req.params.id === 'missing' ? 404 : 200).json({ id: req.params.id, calls });
+});
+
+let responseCacheBoundaryTest = `ResponseCache boundary test`;
+
+describe('Response Cache', () => {
+    describe('boundary', () => {
+
+        beforeEach(() => {
+            calls = 0;
+            useCacheStore(createLruStore());
+        });
+
+        // Test case for hits, ETag and 304
+        it(`${responseCacheBoundaryTest} should serve repeats from the cache and answer If-None-Match with 304`, async () => {
+            const first = await request(app).get('/hotels?location=California');
+            const second = await request(app).get('/hotels?location=California');
+
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(second.headers['x-cache']).toBe('HIT');
+            expect(second.body).toEqual({ location: 'California', calls: 1 });
+            expect(second.headers['cache-control']).toBe('private, no-cache');
+            expect(second.headers.etag).toBe(first.headers.etag);
+
+            const notModified = await request(app).get('/hotels?location=California').set('If-None-Match', first.headers.etag);
+            expect(notModified.status).toBe(304);
+            expect(calls).toBe(1);
+        });
+
+        // Test case for error responses
+        it(`${responseCacheBoundaryTest} should not cache error responses`, async () => {
+            await request(app).get('/hotels/missing');
+            const response = await request(app).get('/hotels/missing');
+
+            expect(response.status).toBe(404);
+            expect(response.headers['x-cache']).toBeUndefined();
+            expect(calls).toBe(2);
+        });
+
+        // Test case for tag invalidation
+        it(`${responseCacheBoundaryTest} should invalidate only entries tagged with the written hotel or its locations`, async () => {
+            await request(app).get('/hotels?location=California');
+            await request(app).get('/hotels?location=Nevada');
+            await request(app).get('/hotels?location=Oregon');
+            await request(app).get('/hotels/abc');
+
+            await invalidateHotel({ _id: 'abc', location: 'Nevada' }, 'California');
+
+            expect((await request(app).get('/hotels?location=California')).headers['x-cache']).toBe('MISS');
+            expect((await request(app).get('/hotels?location=Nevada')).headers['x-cache']).toBe('MISS');
+            expect((await request(app).get('/hotels?location=Oregon')).headers['x-cache']).toBe('HIT');
+            expect((await request(app).get('/hotels/abc')).headers['x-cache']).toBe('MISS');
+
+            await clearCache();
+            expect((await request(app).get('/hotels?location=Oregon')).headers['x-cache']).toBe('MISS');
+        });
+
+        // Test case for the counters
+        it(`${responseCacheBoundaryTest} should count hits and misses with their average latency`, async () => {
+            await request(app).get('/hotels');
+            await request(app).get('/hotels');
+            await request(app).get('/hotels');
+
+            const stats = await cacheStats();
+            expect(stats).toMatchObject({ store: 'lru', entries: 1, hits: 2, misses: 1, hitRatio: 0.667 });
+            expect(stats.avgHitMs).toEqual(expect.any(Number));
+            expect(stats.avgMissMs).toEqual(expect.any(Number));
+        });
+
+        // Test case for a disabled cache
+        it(`${responseCacheBoundaryTest} should pass straight through without a store`, async () => {
+            useCacheStore(null);
+            await request(app).get('/hotels');
+            const response = await request(app).get('/hotels');
+
+            expect(response.headers['x-cache']).toBeUndefined();
+            expect(calls).toBe(2);
+        });
+    });
+});
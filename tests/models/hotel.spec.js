@@ -157,8 +157,9 @@ describe('Hotel Model', () => {
             // Read the content of the hotel.js file
             const fileContent = fs.readFileSync(filePath, 'utf-8');
 
-            // Check if the text index on name and description is defined in the file
-            const textIndexExists = fileContent.includes('index({ name: \'text\', description: \'text\' })');
+            // Check if the text index on name and description is defined in the file; it may be followed by its
+            // weights and language options
+            const textIndexExists = /index\(\{ name: 'text', description: 'text' \}[,)]/.test(fileContent);
 
             // Assert that the text index is found
             expect(textIndexExists).toBe(true);  // The test will fail if the string is not found
@@ -176,5 +177,16 @@ describe('Hotel Model', () => {
             // Assert that the compound index is found
             expect(compoundIndexExists).toBe(true);  // The test will fail if the string is not found
         });
+
+        it(`${hotelBoundaryTest}should check if the TTL indexes for promotions and holds are defined in the model`, () => {
+            const filePath = path.join(__dirname, '../../models/hotel.js'); // Path to your hotel.js model file
+
+            // Read the content of the hotel.js file
+            const fileContent = fs.readFileSync(filePath, 'utf-8');
+
+            // Check if both TTL indexes on expiresAt are defined in the file
+            expect(fileContent).toContain('Promotion.schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })');
+            expect(fileContent).toContain('Hold.schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })');
+        });
     });
 });
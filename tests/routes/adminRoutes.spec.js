@@ -0,0 +1,62 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');  // Path to your Express app
+const Hotel = require('../../models/hotel');  // Hotel model
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Start an in-memory MongoDB server before tests
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
+});
+
+afterAll(async () => {
+  // Close the in-memory MongoDB server after tests
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+let adminRoutesBoundaryTest = `AdminRoutes boundary test`;
+
+describe('Admin Routes', () => {
+  describe('boundary', () => {
+
+    // Test for seeding a synthetic dataset
+    it(`${adminRoutesBoundaryTest} should seed the requested number of hotels`, async () => {
+      const response = await request(app).post('/api/admin/seed').send({ count: 2500, seed: 42, batchSize: 1000 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.inserted).toBe(2500);
+      expect(await Hotel.countDocuments()).toBe(2500);
+    });
+
+    // Test for replacing the dataset deterministically
+    it(`${adminRoutesBoundaryTest} should drop and reseed the same documents for the same seed`, async () => {
+      const first = await Hotel.find({}, { _id: 0, name: 1, price: 1 }).sort({ name: 1 }).lean();
+
+      const response = await request(app).post('/api/admin/seed').send({ count: 2500, seed: 42, drop: true });
+      const second = await Hotel.find({}, { _id: 0, name: 1, price: 1 }).sort({ name: 1 }).lean();
+
+      expect(response.status).toBe(201);
+      expect(second).toEqual(first);
+    });
+
+    // Test for invalid seed options
+    it(`${adminRoutesBoundaryTest} should return 400 for an invalid count`, async () => {
+      const response = await request(app).post('/api/admin/seed').send({ count: 0 });
+
+      expect(response.status).toBe(400);
+    });
+
+    // Test for keeping bulk seeding in the CLI
+    it(`${adminRoutesBoundaryTest} should return 400 for a count above the HTTP limit`, async () => {
+      const response = await request(app).post('/api/admin/seed').send({ count: 1000000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/npm run seed/);
+    });
+  });
+});
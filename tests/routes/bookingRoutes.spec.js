@@ -0,0 +1,120 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../../app');  // Path to your Express app
+const Hotel = require('../../models/hotel');  // Hotel model
+const Hold = require('../../models/hold');  // Hold model
+const Booking = require('../../models/booking');  // Booking model
+
+let replSet;
+let hotelId;
+
+beforeAll(async () => {
+  // Transactions need a replica set; a single member is enough
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri(), { useNewUrlParser: true, useUnifiedTopology: true });
+  await Promise.all([Hotel.init(), Hold.init(), Booking.init()]);
+
+  const hotel = await Hotel.create({ name: 'Harbour Lodge', location: 'Lisbon', price: 120, rooms: 3 });
+  hotelId = String(hotel._id);
+  await Hotel.create({ name: 'Tiny Inn', location: 'Lisbon', price: 80, rooms: 1 });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await replSet.stop();
+});
+
+const book = (body, id = hotelId) => request(app)
+  .post(`/api/hotels/${id}/bookings`)
+  .send({ guestName: 'Guest', guests: 2, ...body });
+
+let bookingRoutesBoundaryTest = `BookingRoutes boundary test`;
+
+describe('Booking Routes', () => {
+  describe('boundary', () => {
+
+    // Test for booking and overbooking
+    it(`${bookingRoutesBoundaryTest} should book rooms until a night is full and then answer 409`, async () => {
+      const first = await book({ checkIn: '2030-05-01', checkOut: '2030-05-04', rooms: 2 });
+      expect(first.status).toBe(201);
+      expect(first.body.booking).toEqual(expect.objectContaining({ hotel: hotelId, rooms: 2, guests: 2 }));
+
+      // Only the night of May 3rd overlaps, where one room is left
+      const second = await book({ checkIn: '2030-05-03', checkOut: '2030-05-05' });
+      expect(second.status).toBe(201);
+
+      const full = await book({ checkIn: '2030-05-02', checkOut: '2030-05-04' });
+      expect(full.status).toBe(409);
+      expect(full.body.message).toBe('Only 0 room(s) left for these dates');
+
+      // Checking out on May 4th frees the rooms for that night
+      const after = await book({ checkIn: '2030-05-05', checkOut: '2030-05-06', rooms: 3, guests: 6 });
+      expect(after.status).toBe(201);
+    });
+
+    // Test for concurrent bookings
+    it(`${bookingRoutesBoundaryTest} should never overbook when bookings for the same nights race`, async () => {
+      const responses = await Promise.all([1, 2, 3, 4, 5].map(() => book({ checkIn: '2030-06-10', checkOut: '2030-06-12', guests: 1 })));
+
+      expect(responses.filter((res) => res.status === 201)).toHaveLength(3);
+      expect(responses.filter((res) => res.status === 409)).toHaveLength(2);
+      expect(await Booking.countDocuments({ hotel: hotelId, checkIn: new Date('2030-06-10') })).toBe(3);
+    });
+
+    // Test for invalid bookings
+    it(`${bookingRoutesBoundaryTest} should reject invalid stays and unknown hotels`, async () => {
+      expect((await book({ checkIn: '2030-07-02', checkOut: '2030-07-01' })).status).toBe(400);
+      expect((await book({ checkIn: '2030-07-01', checkOut: '2030-07-02', guests: 5, rooms: 1 })).status).toBe(400);
+      expect((await book({ checkIn: '2030-07-01', checkOut: '2030-07-02' }, new mongoose.Types.ObjectId())).status).toBe(404);
+    });
+
+    // Test for availability search
+    it(`${bookingRoutesBoundaryTest} should list hotels with enough free rooms on every night`, async () => {
+      const res = await request(app).get('/api/hotels/available?location=Lisbon&checkIn=2030-05-02&checkOut=2030-05-03&guests=1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((hotel) => [hotel.name, hotel.availableRooms]).sort()).toEqual([['Harbour Lodge', 1], ['Tiny Inn', 1]]);
+
+      // Three guests need two rooms: Tiny Inn has one, Harbour Lodge is full on May 3rd
+      const full = await request(app).get('/api/hotels/available?location=Lisbon&checkIn=2030-05-02&checkOut=2030-05-04&guests=3');
+      expect(full.status).toBe(200);
+      expect(full.body).toEqual([]);
+    });
+
+    // Test for the availability plans
+    it(`${bookingRoutesBoundaryTest} should show the indexed and unindexed plans of the availability queries`, async () => {
+      const res = await request(app).get('/api/hotels/available?location=Lisbon&checkIn=2030-05-01&checkOut=2030-05-02&explain=executionStats');
+
+      expect(res.status).toBe(200);
+      expect(res.body.explain.bookings).toEqual(expect.objectContaining({ stage: 'IXSCAN', indexName: 'hotel_stay' }));
+      expect(res.body.withoutIndex.bookings.stage).toBe('COLLSCAN');
+    });
+
+    // Test for holds during checkout
+    it(`${bookingRoutesBoundaryTest} should hold rooms until the booking claims them, ignoring expired holds`, async () => {
+      const stay = { checkIn: '2030-08-01', checkOut: '2030-08-03' };
+      const held = await request(app).post(`/api/hotels/${hotelId}/holds`).send({ ...stay, guests: 4 });
+      expect(held.status).toBe(201);
+      expect(new Date(held.body.hold.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      // One of the three rooms is left while the hold runs
+      expect((await book({ ...stay, rooms: 2 })).status).toBe(409);
+      const available = await request(app).get('/api/hotels/available?location=Lisbon&checkIn=2030-08-01&checkOut=2030-08-02');
+      expect(available.body.find((hotel) => hotel.name === 'Harbour Lodge').availableRooms).toBe(1);
+
+      // An operator in place of the ID must not pick up any hold
+      expect((await book({ ...stay, rooms: 2, guests: 4, holdId: { $ne: null } })).status).toBe(400);
+      const mismatched = await book({ ...stay, rooms: 1, holdId: held.body.hold._id });
+      expect(mismatched.status).toBe(400);
+      const claimed = await book({ ...stay, rooms: 2, guests: 4, holdId: held.body.hold._id });
+      expect(claimed.status).toBe(201);
+      expect(await Hold.countDocuments({ _id: held.body.hold._id })).toBe(0);
+      expect((await book({ ...stay, rooms: 2, holdId: held.body.hold._id })).status).toBe(410);
+
+      // A hold past its expiry no longer counts, even before the TTL monitor deletes it
+      await Hold.create({ hotel: hotelId, checkIn: new Date('2030-09-01'), checkOut: new Date('2030-09-02'), rooms: 3, expiresAt: new Date(Date.now() - 1000) });
+      expect((await book({ checkIn: '2030-09-01', checkOut: '2030-09-02', rooms: 3, guests: 6 })).status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');  // Path to your Express app
+const Hotel = require('../../models/hotel');  // Hotel model
+const QueryProfile = require('../../models/queryProfile');  // Slow query records
+const config = require('../../config');
+
+let mongoServer;
+let thresholdMs;
+
+beforeAll(async () => {
+  // Record every query as slow so the report has data
+  thresholdMs = config.profiler.slowQueryThresholdMs;
+  config.profiler.slowQueryThresholdMs = 0;
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  await Hotel.create([
+    { name: 'Sunset Resort', location: 'California', price: 200, rooms: 50 },
+    { name: 'Mountain Retreat', location: 'Switzerland', price: 400, rooms: 60 }
+  ]);
+});
+
+afterAll(async () => {
+  config.profiler.slowQueryThresholdMs = thresholdMs;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Slow queries are recorded in the background, so wait until they show up
+const waitForProfiles = async (count) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await QueryProfile.countDocuments() >= count) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+let diagnosticsRoutesBoundaryTest = `DiagnosticsRoutes boundary test`;
+
+describe('Diagnostics Routes', () => {
+  describe('boundary', () => {
+
+    // Test for grouping slow queries by shape
+    it(`${diagnosticsRoutesBoundaryTest} should group slow queries by shape with latency percentiles`, async () => {
+      await request(app).get('/api/hotels/test-single-field?location=California');
+      await request(app).get('/api/hotels/test-single-field?location=Switzerland');
+      await waitForProfiles(2);
+
+      const response = await request(app).get('/api/diagnostics/slow-queries');
+
+      expect(response.status).toBe(200);
+      const byLocation = response.body.find((group) => JSON.stringify(group.filter) === '{"location":1}');
+      expect(byLocation.count).toBe(2);
+      expect(byLocation.planStages).toContain('IXSCAN');
+      expect(byLocation.p95).toBeGreaterThanOrEqual(byLocation.p50);
+      expect(byLocation.max).toBeGreaterThanOrEqual(byLocation.p95);
+    });
+
+    // Test for index advice driven by the recorded workload
+    it(`${diagnosticsRoutesBoundaryTest} should suggest an index for an unindexed query shape and apply it`, async () => {
+      await Hotel.find({ rooms: { $gte: 10 } }).sort({ price: -1 });
+      await waitForProfiles(3);
+
+      const advice = await request(app).get('/api/diagnostics/index-advice');
+      expect(advice.status).toBe(200);
+      expect(advice.body.suggestions.map((suggestion) => suggestion.key)).toContainEqual({ price: -1, rooms: 1 });
+      expect(advice.body.redundant.map((index) => index.name)).toContain('location_1');
+
+      const applied = await request(app).get('/api/diagnostics/index-advice?apply=true');
+      expect(applied.body.applied).toContain('price_-1_rooms_1');
+    });
+
+    // Test for the indexed vs. unindexed benchmark
+    it(`${diagnosticsRoutesBoundaryTest} should benchmark queries with and without their indexes`, async () => {
+      const before = await Hotel.collection.indexes();
+      const response = await request(app).post('/api/diagnostics/benchmark?iterations=3&scenarios=single-field,text,dynamic');
+
+      expect(response.status).toBe(200);
+      const [singleField, text, dynamic] = response.body.results;
+      expect(singleField.indexed.plan.stage).toBe('IXSCAN');
+      expect(singleField.unindexed.plan.stage).toBe('COLLSCAN');
+      expect(singleField.unindexed.plan.keysExamined).toBe(0);
+      expect(text.indexed.plan.stage).toBe('TEXT');
+      expect(dynamic.indexed.plan.indexName).toBe('price_1');
+      expect(typeof singleField.speedup).toBe('number');
+
+      // The run worked on a copy that is gone again, and the live collection kept its indexes
+      const collections = await mongoose.connection.db.listCollections().toArray();
+      expect(collections.some((collection) => collection.name.startsWith('hotels_benchmark_'))).toBe(false);
+      expect(await Hotel.collection.indexes()).toEqual(before);
+    });
+
+    // Test for serializing benchmark runs
+    it(`${diagnosticsRoutesBoundaryTest} should reject a benchmark while another one is running`, async () => {
+      const [first, second] = await Promise.all([
+        request(app).post('/api/diagnostics/benchmark?iterations=1&scenarios=compound'),
+        request(app).post('/api/diagnostics/benchmark?iterations=1&scenarios=compound')
+      ]);
+
+      expect([first.status, second.status].sort()).toEqual([200, 409]);
+    });
+
+    // Test for the text table output
+    it(`${diagnosticsRoutesBoundaryTest} should render the benchmark as a table`, async () => {
+      const response = await request(app).post('/api/diagnostics/benchmark?iterations=1&scenarios=compound&format=table');
+
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('text/plain');
+      expect(response.text).toMatch(/compound\s+\| indexed/);
+    });
+
+    // Test for hiding the benchmark in production and from GET
+    it(`${diagnosticsRoutesBoundaryTest} should only run the benchmark on POST outside production`, async () => {
+      const viaGet = await request(app).get('/api/diagnostics/benchmark?iterations=1&scenarios=compound');
+      expect(viaGet.status).toBe(404);
+
+      const env = config.env;
+      config.env = 'production';
+      try {
+        const response = await request(app).post('/api/diagnostics/benchmark?iterations=1&scenarios=compound');
+        expect(response.status).toBe(404);
+      } finally {
+        config.env = env;
+      }
+    });
+
+    // Test for invalid report options
+    it(`${diagnosticsRoutesBoundaryTest} should return 400 for an invalid limit`, async () => {
+      const response = await request(app).get('/api/diagnostics/slow-queries?limit=0');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');  // Path to your Express app
+const { waitForIndexes } = require('../../utils/readiness');
+
+let mongoServer;
+
+afterAll(async () => {
+  // Close the in-memory MongoDB server after tests
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+let healthRoutesBoundaryTest = `HealthRoutes boundary test`;
+
+describe('Health Routes', () => {
+  describe('boundary', () => {
+
+    // Test for readiness before the database is up
+    it(`${healthRoutesBoundaryTest} should be live but not ready before MongoDB is connected`, async () => {
+      const live = await request(app).get('/healthz');
+      const ready = await request(app).get('/readyz');
+
+      expect(live.status).toBe(200);
+      expect(live.body.status).toBe('ok');
+      expect(ready.status).toBe(503);
+      expect(ready.body).toEqual({ status: 'not ready', checks: { mongo: 'disconnected', indexes: 'pending' } });
+    });
+
+    // Test for readiness once connected and indexed
+    it(`${healthRoutesBoundaryTest} should be ready once connected and the declared indexes are built`, async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true });
+
+      const connectedOnly = await request(app).get('/readyz');
+      expect(connectedOnly.body.checks).toEqual({ mongo: 'connected', indexes: 'pending' });
+
+      await waitForIndexes();
+      const ready = await request(app).get('/readyz');
+
+      expect(ready.status).toBe(200);
+      expect(ready.body).toEqual({ status: 'ready', checks: { mongo: 'connected', indexes: 'built' } });
+    });
+
+    // Test for losing the connection after startup
+    it(`${healthRoutesBoundaryTest} should report not ready again after a disconnect`, async () => {
+      await mongoose.disconnect();
+      const ready = await request(app).get('/readyz');
+
+      expect(ready.status).toBe(503);
+      expect(ready.body.checks.mongo).toBe('disconnected');
+    });
+  });
+});
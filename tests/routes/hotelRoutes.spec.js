@@ -1,15 +1,19 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const app = require('../../app');  // Path to your Express app
 const Hotel = require('../../models/hotel');  // Hotel model
+const { logger, currentContext } = require('../../utils/logger');
+const Promotion = require('../../models/promotion');
+const Hold = require('../../models/hold');
+const config = require('../../config');
 
 let mongoServer;
 let createdHotelId;
 
 beforeAll(async () => {
-  // Start an in-memory MongoDB server before tests
-  mongoServer = await MongoMemoryServer.create();
+  // Start an in-memory MongoDB server before tests; a single-member replica set, as reviews and bookings use transactions
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
   const mongoUri = mongoServer.getUri();
   await mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
 
@@ -70,6 +74,16 @@ describe('Hotel Routes', () => {
       expect(Array.isArray(response.body)).toBe(true);  // Should return an array of hotels
     });
 
+    // Test for query operators passed as the location
+    it(`${hotelRoutesBoundaryTest} should return 400 for a non-string location on the index test routes`, async () => {
+      const singleField = await request(app).get('/api/hotels/test-single-field?location[$ne]=x');
+      const compound = await request(app).get('/api/hotels/test-compound?location[$gt]=&price=200');
+
+      expect(singleField.status).toBe(400);
+      expect(compound.status).toBe(400);
+      expect(singleField.body.message).toBe('location must be a non-empty string');
+    });
+
     // Test for Text Index
     it(`${hotelRoutesBoundaryTest} should test query performance with text index on name and description`, async () => {
       console.time('Text index query');
@@ -89,5 +103,278 @@ describe('Hotel Routes', () => {
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);  // Should return an array of hotels
     });
+
+    // Test for listing indexes
+    it(`${hotelRoutesBoundaryTest} should list the indexes on the hotel collection`, async () => {
+      const response = await request(app).get('/api/hotels/indexes');
+
+      expect(response.status).toBe(200);
+      const names = response.body.map((index) => index.name);
+      expect(names).toEqual(expect.arrayContaining(['_id_', 'location_1', 'location_1_price_1']));
+      expect(response.body[0]).toHaveProperty('key');
+      expect(response.body[0]).toHaveProperty('size');
+    });
+
+    // Test for creating and dropping an index
+    it(`${hotelRoutesBoundaryTest} should create and drop an index from a JSON spec`, async () => {
+      const created = await request(app)
+        .post('/api/hotels/indexes')
+        .send({ key: { rooms: 1 }, options: { name: 'rooms_partial', partialFilterExpression: { rooms: { $gt: 10 } } } });
+
+      expect(created.status).toBe(201);
+      expect(created.body.name).toBe('rooms_partial');
+
+      const dropped = await request(app).delete('/api/hotels/indexes/rooms_partial');
+      expect(dropped.status).toBe(200);
+    });
+
+    // Test for invalid index specs and unknown index names
+    it(`${hotelRoutesBoundaryTest} should reject invalid index specs and unknown index names`, async () => {
+      const invalid = await request(app).post('/api/hotels/indexes').send({ key: { rooms: 'up' } });
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(app).delete('/api/hotels/indexes/does_not_exist');
+      expect(missing.status).toBe(404);
+    });
+
+    // Test for hiding index changes in production
+    it(`${hotelRoutesBoundaryTest} should not create or drop indexes in production`, async () => {
+      const env = config.env;
+      config.env = 'production';
+      try {
+        const created = await request(app).post('/api/hotels/indexes').send({ key: { rooms: 1 } });
+        expect(created.status).toBe(404);
+        const dropped = await request(app).delete('/api/hotels/indexes/location_1');
+        expect(dropped.status).toBe(404);
+      } finally {
+        config.env = env;
+      }
+      expect((await Hotel.collection.indexes()).map((index) => index.name)).toEqual(expect.arrayContaining(['location_1']));
+      expect((await Hotel.collection.indexes()).map((index) => index.name)).not.toContain('rooms_1');
+    });
+
+    // Test for correlating query logs with the request
+    it(`${hotelRoutesBoundaryTest} should log the queries of a request with its X-Request-Id`, async () => {
+      const logged = [];
+      const debug = jest.spyOn(logger, 'debug').mockImplementation((msg, fields) => logged.push({ msg, ...currentContext(), ...fields }));
+
+      // A query string no earlier test used, so the response cache can't answer it
+      const res = await request(app)
+        .get('/api/hotels/test-compound?location=California&price=200&trace=1')
+        .set('X-Request-Id', 'trace-compound');
+      debug.mockRestore();
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-request-id']).toBe('trace-compound');
+      expect(logged).toContainEqual(expect.objectContaining({ msg: 'mongo query', requestId: 'trace-compound', collection: 'hotels', operation: 'find' }));
+    });
+
+    // Test for adding and listing reviews
+    it(`${hotelRoutesBoundaryTest} should add reviews and list them newest first, one page at a time`, async () => {
+      const first = await request(app).post(`/api/hotels/${createdHotelId}/reviews`).send({ rating: 5, text: 'Great view', author: 'Ana' });
+      const second = await request(app).post(`/api/hotels/${createdHotelId}/reviews`).send({ rating: 3, author: 'Ben' });
+
+      expect(first.status).toBe(201);
+      expect(second.body.review).toEqual(expect.objectContaining({ rating: 3, author: 'Ben', hotel: createdHotelId }));
+
+      const page = await request(app).get(`/api/hotels/${createdHotelId}/reviews?limit=1`);
+      expect(page.status).toBe(200);
+      expect(page.body.reviews.map((review) => review.author)).toEqual(['Ben']);
+      expect(page.body.meta).toEqual({ total: 2, page: 1, pages: 2, limit: 1 });
+
+      const hotel = await request(app).get(`/api/hotels/${createdHotelId}`);
+      expect(hotel.body).toEqual(expect.objectContaining({ avgRating: 4, reviewCount: 2 }));
+    });
+
+    // Test for review validation
+    it(`${hotelRoutesBoundaryTest} should reject invalid reviews and reviews of unknown hotels`, async () => {
+      const invalid = await request(app).post(`/api/hotels/${createdHotelId}/reviews`).send({ rating: 6 });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors.map((error) => error.path)).toEqual(expect.arrayContaining(['rating', 'author']));
+
+      const missing = await request(app).post(`/api/hotels/${new mongoose.Types.ObjectId()}/reviews`).send({ rating: 4, author: 'Ana' });
+      expect(missing.status).toBe(404);
+    });
+
+    // Test for concurrent reviews
+    it(`${hotelRoutesBoundaryTest} should keep avgRating and reviewCount exact under concurrent reviews`, async () => {
+      const created = await request(app).post('/api/hotels').send({ name: 'Busy Inn', location: 'Reviewtown', price: 90, rooms: 20 });
+      const id = created.body._id;
+      const ratings = [1, 2, 3, 4, 5, 5, 4, 3, 2, 2];
+
+      await Promise.all(ratings.map((rating, i) => request(app).post(`/api/hotels/${id}/reviews`).send({ rating, author: `Guest ${i}` })));
+
+      const hotel = await Hotel.findById(id);
+      expect(hotel.reviewCount).toBe(ratings.length);
+      expect(hotel.avgRating).toBe(3.1);
+
+      // Replacing the hotel keeps its ratings
+      await request(app).put(`/api/hotels/${id}`).send({ name: 'Busy Inn', location: 'Reviewtown', price: 95, rooms: 20, reviewCount: 0 });
+      expect((await Hotel.findById(id)).reviewCount).toBe(ratings.length);
+    });
+
+    // Test for the top rated query
+    it(`${hotelRoutesBoundaryTest} should list the best rated hotels of a location from the compound index`, async () => {
+      for (const [name, rating] of [['Good Stay', 4], ['Best Stay', 5], ['Unrated Stay', null]]) {
+        const created = await request(app).post('/api/hotels').send({ name, location: 'Topville', price: 100, rooms: 10 });
+        if (rating) {
+          await request(app).post(`/api/hotels/${created.body._id}/reviews`).send({ rating, author: 'Critic' });
+        }
+      }
+
+      const res = await request(app).get('/api/hotels/top-rated?location=Topville&explain=executionStats');
+
+      expect(res.status).toBe(200);
+      expect(res.body.hotels.map((hotel) => hotel.name)).toEqual(['Best Stay', 'Good Stay']);
+      expect(res.body.explain.indexName).toBe('top_rated_in_location');
+
+      const missing = await request(app).get('/api/hotels/top-rated');
+      expect(missing.status).toBe(400);
+    });
+
+    // Test for promotions and the effective price
+    it(`${hotelRoutesBoundaryTest} should show running promotions as the effective price and search on it`, async () => {
+      const created = await request(app).post('/api/hotels').send({ name: 'Promo Palace', location: 'Saleville', price: 250, rooms: 30 });
+      const id = created.body._id;
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const promotion = await request(app).post(`/api/hotels/${id}/promotions`).send({ price: 123.45, expiresAt });
+      expect(promotion.status).toBe(201);
+
+      const hotel = await request(app).get(`/api/hotels/${id}`);
+      expect(hotel.body).toEqual(expect.objectContaining({ price: 250, effectivePrice: 123.45, promotion: { price: 123.45, expiresAt } }));
+
+      await request(app).post('/api/hotels').send({ name: 'Plain Lodge', location: 'Saleville', price: 150, rooms: 30 });
+      const cheap = await request(app).get('/api/hotels?location=Saleville&maxPrice=200&sort=price');
+      expect(cheap.body.hotels.map((hit) => [hit.name, hit.effectivePrice])).toEqual([['Promo Palace', 123.45], ['Plain Lodge', 150]]);
+      expect(cheap.body.meta.total).toBe(2);
+      const pricey = await request(app).get('/api/hotels?location=Saleville&minPrice=200');
+      expect(pricey.body.hotels).toEqual([]);
+      // Facets count and bucket the same effective prices
+      const facets = await request(app).get('/api/hotels/facets?location=Saleville&maxPrice=200&priceBuckets=0,200');
+      expect(facets.body.facets.price).toEqual([{ min: 0, max: 200, count: 2 }, { min: 200, max: null, count: 0 }]);
+      expect(facets.body.facets.priceStats).toMatchObject({ min: 123.45, max: 150, count: 2 });
+      const paged = await request(app).get('/api/hotels?location=Saleville&sort=price&cursor=&limit=1');
+      const next = await request(app).get(`/api/hotels?location=Saleville&sort=price&cursor=${paged.body.meta.nextCursor}&limit=1`);
+      expect([...paged.body.hotels, ...next.body.hotels].map((hit) => hit.name)).toEqual(['Promo Palace', 'Plain Lodge']);
+
+      // The index test keeps matching the list price, so its plan shows the price index alone
+      const listed = await request(app).get('/api/hotels/test-dynamic?price=250');
+      expect(listed.body.map((hit) => [hit.name, hit.effectivePrice])).toContainEqual(['Promo Palace', 123.45]);
+      const promoted = await request(app).get('/api/hotels/test-dynamic?price=123.45');
+      expect(promoted.body.map((hit) => hit.name)).not.toContain('Promo Palace');
+
+      // Expired promotions stop counting before the TTL monitor removes them
+      await Promotion.updateMany({ hotel: id }, { expiresAt: new Date(Date.now() - 1000) });
+      const expired = await request(app).get('/api/hotels?location=Saleville&maxPrice=200');
+      expect(expired.body.hotels.map((hit) => hit.name)).toEqual(['Plain Lodge']);
+    });
+
+    // Test for the TTL indexes
+    it(`${hotelRoutesBoundaryTest} should declare TTL indexes on the promotion and hold expiry dates`, async () => {
+      for (const Model of [Promotion, Hold]) {
+        await Model.init();
+        expect(await Model.collection.indexes()).toContainEqual(expect.objectContaining({ key: { expiresAt: 1 }, expireAfterSeconds: 0 }));
+      }
+    });
+
+    // Test for the partial index on upscale hotels
+    it(`${hotelRoutesBoundaryTest} should show in explain when the upscale partial index is and isn't used`, async () => {
+      const hotels = [];
+      for (let i = 0; i < 60; i++) {
+        hotels.push({ name: `Budget ${i}`, location: 'Starville', price: 50 + i, rooms: 10, stars: 2 });
+        hotels.push({ name: `Luxury ${i}`, location: 'Starville', price: 300 + i, rooms: 10, stars: 5 });
+      }
+      hotels.push({ name: 'Bargain Suites', location: 'Starville', price: 90, rooms: 10, stars: 4, amenities: ['wifi', 'pool'] });
+      await Hotel.insertMany(hotels);
+
+      const upscale = await request(app).get('/api/hotels/by-stars?minStars=4&maxPrice=100&explain=executionStats');
+      expect(upscale.status).toBe(200);
+      expect(upscale.body.hotels.map((hotel) => hotel.name)).toEqual(['Bargain Suites']);
+      expect(upscale.body.partialIndex).toEqual({ name: 'upscale_price', partialFilterExpression: { stars: { $gte: 4 } }, used: true });
+
+      // Three stars isn't implied by the partial filter, so the planner can't use the index
+      const midrange = await request(app).get('/api/hotels/by-stars?minStars=3&maxPrice=100&explain=executionStats');
+      expect(midrange.body.partialIndex.used).toBe(false);
+
+      const amenities = await request(app).get('/api/hotels/by-stars?minStars=1&amenities=pool');
+      expect(amenities.body.map((hotel) => hotel.name)).toEqual(['Bargain Suites']);
+      const invalid = await request(app).get('/api/hotels/by-stars?minStars=9');
+      expect(invalid.status).toBe(400);
+    });
+
+    // Test for the partial index on featured hotels
+    it(`${hotelRoutesBoundaryTest} should serve featured hotels from their partial index`, async () => {
+      const hotels = [];
+      for (let i = 0; i < 50; i++) {
+        hotels.push({ name: `Plain ${i}`, location: 'Featureville', price: 100 + i, rooms: 10 });
+      }
+      hotels.push({ name: 'Star Pick', location: 'Featureville', price: 120, rooms: 10, featured: true });
+      hotels.push({ name: 'Top Pick', location: 'Featureville', price: 110, rooms: 10, featured: true });
+      await Hotel.insertMany(hotels);
+
+      const res = await request(app).get('/api/hotels/featured?location=Featureville&explain=executionStats');
+
+      expect(res.status).toBe(200);
+      expect(res.body.hotels.map((hotel) => hotel.name)).toEqual(['Top Pick', 'Star Pick']);
+      expect(res.body.partialIndex).toEqual({ name: 'featured_location_price', partialFilterExpression: { featured: true }, used: true });
+    });
+
+    // Test for the partial and sparse index sizes
+    it(`${hotelRoutesBoundaryTest} should report how many hotels partial and sparse indexes cover`, async () => {
+      await Hotel.insertMany([
+        { name: 'Rated', location: 'Coverville', price: 100, rooms: 10, stars: 4 },
+        { name: 'Unrated', location: 'Coverville', price: 100, rooms: 10 }
+      ]);
+
+      const plain = await request(app).get('/api/hotels/indexes');
+      expect(plain.body.find((index) => index.name === 'upscale_price').coverage).toBeUndefined();
+
+      const response = await request(app).get('/api/hotels/indexes?coverage=true');
+      const byName = Object.fromEntries(response.body.map((index) => [index.name, index]));
+      const total = await Hotel.countDocuments();
+
+      expect(byName.upscale_price.coverage).toEqual(expect.objectContaining({ documents: await Hotel.countDocuments({ stars: { $gte: 4 } }), total }));
+      expect(byName.stars_1.options.sparse).toBe(true);
+      expect(byName.stars_1.coverage.documents).toBe(await Hotel.countDocuments({ stars: { $exists: true } }));
+      expect(byName._id_.coverage).toBeUndefined();
+    });
+
+    // Test for the wildcard index on partner attributes
+    it(`${hotelRoutesBoundaryTest} should query partner attributes through the wildcard index and compare it with a single-field index`, async () => {
+      const hotels = [];
+      for (let i = 0; i < 20; i++) {
+        hotels.push({ name: `Street ${i}`, location: 'Attrville', price: 100, rooms: 10, attributes: { parking: { type: 'street' }, petFriendly: false } });
+      }
+      hotels.push({ name: 'Garage Inn', location: 'Attrville', price: 100, rooms: 10, attributes: { parking: { type: 'garage' }, petFriendly: true } });
+      await Hotel.insertMany(hotels);
+
+      const res = await request(app).get('/api/hotels/by-attribute?path=parking.type&value=garage&explain=executionStats');
+      expect(res.status).toBe(200);
+      expect(res.body.hotels.map((hotel) => hotel.name)).toEqual(['Garage Inn']);
+      expect(res.body.explain.indexName).toBe('attributes.$**_1');
+
+      const limited = await request(app).get('/api/hotels/by-attribute?path=parking.type&value=street&limit=5');
+      expect(limited.body).toHaveLength(5);
+
+      // Comparing never builds the single-field index; it reports the key to create instead
+      const missing = await request(app).get('/api/hotels/by-attribute?path=petFriendly&value=true&compare=true');
+      expect(missing.status).toBe(200);
+      expect(missing.body.explain).toEqual(expect.objectContaining({ indexName: 'attributes.$**_1', nReturned: 1 }));
+      expect(missing.body.singleField).toEqual({ index: null, key: { 'attributes.petFriendly': 1 } });
+      expect((await Hotel.collection.indexes()).map((index) => Object.keys(index.key)[0])).not.toContain('attributes.petFriendly');
+
+      await request(app).post('/api/hotels/indexes').send({ key: { 'attributes.petFriendly': 1 } });
+      const compared = await request(app).get('/api/hotels/by-attribute?path=petFriendly&value=true&compare=true&limit=10');
+      expect(compared.body.singleField).toEqual(expect.objectContaining({
+        index: 'attributes.petFriendly_1', indexName: 'attributes.petFriendly_1', nReturned: 1
+      }));
+      await request(app).delete('/api/hotels/indexes/attributes.petFriendly_1');
+
+      const unlisted = await request(app).get('/api/hotels/by-attribute?path=secret&value=1');
+      expect(unlisted.status).toBe(400);
+      const invalid = await request(app).post('/api/hotels').send({ name: 'List Inn', location: 'Attrville', price: 100, rooms: 10, attributes: ['wifi'] });
+      expect(invalid.status).toBe(400);
+    });
   });
 });
\ No newline at end of file
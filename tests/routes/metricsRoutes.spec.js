@@ -0,0 +1,70 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');  // Path to your Express app
+const Hotel = require('../../models/hotel');  // Hotel model
+const { instrumentMongoClient } = require('../../utils/mongoMetrics');
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Start an in-memory MongoDB server before tests, with command monitoring as in config/db.config.js
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  const connecting = mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true, monitorCommands: true });
+  instrumentMongoClient(mongoose.connection.getClient());
+  await connecting;
+  await Hotel.init();
+});
+
+afterAll(async () => {
+  // Close the in-memory MongoDB server after tests
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+let metricsRoutesBoundaryTest = `MetricsRoutes boundary test`;
+
+describe('Metrics Routes', () => {
+  describe('boundary', () => {
+
+    // Test for HTTP request metrics
+    it(`${metricsRoutesBoundaryTest} should count requests per route pattern and status`, async () => {
+      const created = await request(app).post('/api/hotels').send({ name: 'Metric Inn', location: 'Graphville', price: 90, rooms: 9 });
+      await request(app).get(`/api/hotels/${created.body._id}`);
+      await request(app).get('/api/hotels/suggest');
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      expect(response.text).toContain('http_requests_total{method="POST",route="/api/hotels/",status="201"} 1');
+      expect(response.text).toContain('http_requests_total{method="GET",route="/api/hotels/:id",status="200"} 1');
+      // Errors passed to next() keep the full route pattern
+      expect(response.text).toContain('http_requests_total{method="GET",route="/api/hotels/suggest",status="400"} 1');
+      expect(response.text).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/api\/hotels\/:id",status="200",le="\+Inf"\} 1/);
+    });
+
+    // Test for MongoDB command and pool metrics
+    it(`${metricsRoutesBoundaryTest} should time MongoDB commands by collection and report the pool`, async () => {
+      await request(app).get('/api/hotels/test-single-field?location=Graphville');
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toMatch(/mongodb_command_duration_seconds_count\{collection="hotels",operation="insert",outcome="success"\} \d+/);
+      expect(response.text).toMatch(/mongodb_command_duration_seconds_count\{collection="hotels",operation="find",outcome="success"\} \d+/);
+      expect(response.text).toMatch(/mongodb_pool_connections\{address="[^"]+"\} [1-9]/);
+    });
+
+    // Test for index usage from $indexStats
+    it(`${metricsRoutesBoundaryTest} should report how often each index was used`, async () => {
+      const before = await request(app).get('/metrics');
+      const opsOf = (text) => Number(text.match(/mongodb_index_accesses_total\{collection="hotels",index="location_1"\} (\d+)/)[1]);
+
+      await Hotel.find({ location: 'Graphville' }).hint({ location: 1 });
+      const after = await request(app).get('/metrics');
+
+      expect(opsOf(after.text)).toBe(opsOf(before.text) + 1);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { backoffDelay, retryWithBackoff } = require('../../utils/backoff');
+
+let backoffFunctionalTest = `Backoff functional test`;
+
+describe('Backoff', () => {
+    describe('functional', () => {
+
+        // Test case for the delay schedule
+        it(`${backoffFunctionalTest} should double the delay up to the cap with jitter in the upper half`, () => {
+            const options = { baseMs: 100, maxMs: 1000 };
+
+            expect([1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, { ...options, random: () => 1 }))).toEqual([100, 200, 400, 800, 1000]);
+            expect(backoffDelay(3, { ...options, random: () => 0 })).toBe(200);
+        });
+
+        // Test case for retrying until success
+        it(`${backoffFunctionalTest} should retry failures and report each one`, async () => {
+            const waits = [];
+            const onRetry = jest.fn();
+            const operation = jest.fn()
+                .mockRejectedValueOnce(new Error('refused'))
+                .mockRejectedValueOnce(new Error('refused'))
+                .mockResolvedValue('connected');
+
+            const result = await retryWithBackoff(operation, {
+                retries: 5, baseMs: 10, maxMs: 100, random: () => 1, onRetry, wait: async (ms) => waits.push(ms)
+            });
+
+            expect(result).toBe('connected');
+            expect(operation).toHaveBeenCalledTimes(3);
+            expect(waits).toEqual([10, 20]);
+            expect(onRetry).toHaveBeenLastCalledWith(expect.any(Error), { attempt: 2, delayMs: 20 });
+        });
+
+        // Test case for giving up
+        it(`${backoffFunctionalTest} should rethrow the last error once the retries are used up`, async () => {
+            const operation = jest.fn().mockRejectedValue(new Error('still down'));
+
+            await expect(retryWithBackoff(operation, { retries: 2, baseMs: 1, maxMs: 1, wait: async () => {} })).rejects.toThrow('still down');
+            expect(operation).toHaveBeenCalledTimes(3);
+        });
+    });
+});
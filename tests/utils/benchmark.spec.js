@@ -0,0 +1,49 @@
+const { SCENARIOS, parseBenchmarkOptions, formatTable } = require('../../utils/benchmark');
+
+let benchmarkFunctionalTest = `Benchmark functional test`;
+
+describe('Benchmark', () => {
+    describe('functional', () => {
+
+        // Test case for default options
+        it(`${benchmarkFunctionalTest} should default to every scenario with the spec values`, () => {
+            const options = parseBenchmarkOptions({});
+
+            expect(options.iterations).toBe(20);
+            expect(options.scenarios).toEqual(['single-field', 'compound', 'text', 'dynamic']);
+            expect(options.params).toEqual({ location: 'California', price: 200, search: 'beachfront' });
+        });
+
+        // Test case for invalid options
+        it(`${benchmarkFunctionalTest} should reject unknown scenarios and out of range iterations`, () => {
+            expect(() => parseBenchmarkOptions({ scenarios: 'geo' })).toThrow(/Unknown scenarios: geo/);
+            expect(() => parseBenchmarkOptions({ iterations: '0' })).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        // Test case for the unindexed text baseline
+        it(`${benchmarkFunctionalTest} should compare text search with an equivalent regex scan`, () => {
+            const baseline = SCENARIOS.text.baseline({ search: 'beach front' });
+
+            expect(baseline.$or[0].name.test('Sunny Beach Hotel')).toBe(true);
+            expect(baseline.$or[1].description.test('a (front) row view')).toBe(true);
+        });
+
+        // Test case for the table output
+        it(`${benchmarkFunctionalTest} should render a readable table with the speedup`, () => {
+            const run = (stage, p50, docs) => ({
+                latency: { p50, p95: p50 * 2 },
+                plan: { stage, indexName: stage === 'IXSCAN' ? 'location_1' : null, keysExamined: 3, docsExamined: docs, nReturned: 3 }
+            });
+            const table = formatTable({
+                collection: 'hotels',
+                iterations: 5,
+                results: [{ scenario: 'single-field', indexed: run('IXSCAN', 0.5, 3), unindexed: run('COLLSCAN', 5, 1000), speedup: 10 }]
+            });
+            const lines = table.trim().split('\n');
+
+            expect(lines[0]).toBe('Benchmark of hotels (5 iterations)');
+            expect(lines[3]).toMatch(/^single-field \| indexed\s+\| IXSCAN\s+\| location_1 \| 0.5 .*\| 10x$/);
+            expect(lines[4]).toMatch(/unindexed \| COLLSCAN .*\| 1000 /);
+        });
+    });
+});
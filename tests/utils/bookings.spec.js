@@ -0,0 +1,55 @@
+const { holdMatches, parseStay, parseAvailabilityQuery, parseBookingRequest, overlapFilter, peakRoomsBooked } = require('../../utils/bookings');
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+
+let bookingsFunctionalTest = `Bookings functional test`;
+
+describe('Bookings', () => {
+    describe('functional', () => {
+
+        // Test case for stay dates
+        it(`${bookingsFunctionalTest} should parse stays of 1 to 30 nights as UTC days`, () => {
+            expect(parseStay({ checkIn: '2030-02-27', checkOut: '2030-03-02' })).toEqual({ checkIn: day('2030-02-27'), checkOut: day('2030-03-02') });
+            expect(() => parseStay({ checkIn: '2030-02-30', checkOut: '2030-03-02' })).toThrow('checkIn must be a date formatted YYYY-MM-DD');
+            expect(() => parseStay({ checkIn: '2030-03-02', checkOut: '2030-03-02' })).toThrow('checkOut must be after checkIn');
+            expect(() => parseStay({ checkIn: '2030-01-01', checkOut: '2030-03-01' })).toThrow('Stays are limited to 30 nights');
+        });
+
+        // Test case for guests and rooms
+        it(`${bookingsFunctionalTest} should derive the rooms needed from the guests`, () => {
+            expect(parseAvailabilityQuery({ location: 'Lisbon', checkIn: '2030-05-01', checkOut: '2030-05-02', guests: '3' }))
+                .toEqual(expect.objectContaining({ location: 'Lisbon', guests: 3, rooms: 2 }));
+            expect(parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02', guests: 1, rooms: 2, guestName: 'Ana' }))
+                .toEqual(expect.objectContaining({ guests: 1, rooms: 2, guestName: 'Ana' }));
+            expect(() => parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02' })).toThrow('guests is required');
+            expect(() => parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02', guests: 5, rooms: 2 })).toThrow('5 guests need at least 3 rooms');
+            expect(parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02', guests: 1, holdId: '64b7f0c2a1b2c3d4e5f60718' }).holdId).toBe('64b7f0c2a1b2c3d4e5f60718');
+            expect(() => parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02', guests: 1, holdId: { $ne: null } })).toThrow('holdId must be a hold ID');
+            expect(() => parseBookingRequest({ checkIn: '2030-05-01', checkOut: '2030-05-02', guests: 1, holdId: 'abc' })).toThrow('holdId must be a hold ID');
+            expect(() => parseAvailabilityQuery({ checkIn: '2030-05-01', checkOut: '2030-05-02' })).toThrow('location is required');
+        });
+
+        // Test case for overlapping bookings
+        it(`${bookingsFunctionalTest} should count the busiest night of the stay, not every overlapping booking`, () => {
+            const stay = { checkIn: day('2030-05-01'), checkOut: day('2030-05-05') };
+            const bookings = [
+                { checkIn: day('2030-04-28'), checkOut: day('2030-05-02'), rooms: 2 },
+                { checkIn: day('2030-05-02'), checkOut: day('2030-05-03'), rooms: 3 },
+                { checkIn: day('2030-05-04'), checkOut: day('2030-05-09'), rooms: 1 }
+            ];
+
+            expect(peakRoomsBooked(bookings, stay)).toBe(3);
+            expect(peakRoomsBooked([], stay)).toBe(0);
+            expect(overlapFilter(stay)).toEqual({ checkOut: { $gt: stay.checkIn }, checkIn: { $lt: stay.checkOut } });
+        });
+
+        // Test case for claiming holds
+        it(`${bookingsFunctionalTest} should only let a booking claim a hold for the same stay and rooms`, () => {
+            const hold = { checkIn: day('2030-05-01'), checkOut: day('2030-05-03'), rooms: 2 };
+
+            expect(holdMatches(hold, { checkIn: day('2030-05-01'), checkOut: day('2030-05-03'), rooms: 2 })).toBe(true);
+            expect(holdMatches(hold, { checkIn: day('2030-05-01'), checkOut: day('2030-05-04'), rooms: 2 })).toBe(false);
+            expect(holdMatches(hold, { checkIn: day('2030-05-01'), checkOut: day('2030-05-03'), rooms: 1 })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { createLruStore, createRedisClient, createRedisStore, createLocalRedisClient } = require('../../utils/cacheStores');
+
+let cacheStoresFunctionalTest = `CacheStores functional test`;
+
+// Both stores must behave the same behind the response cache
+const stores = {
+    lru: () => createLruStore({ maxEntries: 2 }),
+    redis: () => createRedisStore(createLocalRedisClient())
+};
+
+describe('Cache Stores', () => {
+    describe('functional', () => {
+
+        Object.entries(stores).forEach(([name, create]) => {
+            // Test case for tag invalidation
+            it(`${cacheStoresFunctionalTest} ${name} should drop only the entries carrying an invalidated tag`, async () => {
+                const store = create();
+                await store.set('/a', { body: 'A' }, { ttlMs: 1000, tags: ['location:Paris'] });
+                await store.set('/b', { body: 'B' }, { ttlMs: 1000, tags: ['hotels'] });
+
+                expect(await store.invalidateTags(['location:Paris', 'location:Rome'])).toBe(1);
+                expect(await store.get('/a')).toBeUndefined();
+                expect(await store.get('/b')).toEqual({ body: 'B' });
+                expect(await store.size()).toBe(1);
+
+                await store.clear();
+                expect(await store.size()).toBe(0);
+            });
+
+            // Test case for expiry
+            it(`${cacheStoresFunctionalTest} ${name} should expire entries after their ttl`, async () => {
+                const store = create();
+                await store.set('/a', { body: 'A' }, { ttlMs: 20, tags: [] });
+
+                expect(await store.get('/a')).toEqual({ body: 'A' });
+                await new Promise((resolve) => setTimeout(resolve, 30));
+                expect(await store.get('/a')).toBeUndefined();
+            });
+        });
+
+        // Test case for LRU eviction
+        it(`${cacheStoresFunctionalTest} lru should evict the least recently read entry`, async () => {
+            const store = createLruStore({ maxEntries: 2 });
+            await store.set('/a', { body: 'A' }, { ttlMs: 1000, tags: ['hotels'] });
+            await store.set('/b', { body: 'B' }, { ttlMs: 1000, tags: ['hotels'] });
+            await store.get('/a');
+            await store.set('/c', { body: 'C' }, { ttlMs: 1000, tags: ['hotels'] });
+
+            expect(await store.get('/b')).toBeUndefined();
+            expect(await store.get('/a')).toEqual({ body: 'A' });
+            expect(await store.invalidateTags(['hotels'])).toBe(2);
+        });
+
+        // Test case for clearing Redis without KEYS
+        it(`${cacheStoresFunctionalTest} redis should clear and count entries in SCAN batches`, async () => {
+            const client = createLocalRedisClient();
+            const scanIterator = jest.spyOn(client, 'scanIterator');
+            const store = createRedisStore(client);
+            for (let i = 0; i < 1200; i++) {
+                await store.set(`/hotels/${i}`, { body: String(i) }, { ttlMs: 1000, tags: ['hotels'] });
+            }
+
+            expect(await store.size()).toBe(1200);
+            await store.clear();
+            expect(await store.size()).toBe(0);
+            expect(scanIterator).toHaveBeenCalledWith(expect.objectContaining({ MATCH: 'hotel-cache:*' }));
+        });
+
+        // Test case for tag sets not outliving their entries
+        it(`${cacheStoresFunctionalTest} redis should expire tag sets no earlier than the entries they list`, async () => {
+            const client = createLocalRedisClient();
+            const store = createRedisStore(client);
+            await store.set('/a', { body: 'A' }, { ttlMs: 5000, tags: ['hotels'] });
+            await store.set('/b', { body: 'B' }, { ttlMs: 1000, tags: ['hotels'] });
+
+            const ttl = await client.pTTL('hotel-cache:tag:hotels');
+            expect(ttl).toBeGreaterThan(4000);
+            expect(ttl).toBeLessThanOrEqual(5000);
+        });
+
+        // Test case for an unreachable Redis server
+        it(`${cacheStoresFunctionalTest} redis should fail lookups at once while the server is unreachable`, async () => {
+            const client = createRedisClient('redis://127.0.0.1:1');
+            client.on('error', () => {});
+            const connecting = client.connect().catch(() => {});
+            try {
+                await expect(createRedisStore(client).get('/a')).rejects.toThrow();
+            } finally {
+                await client.disconnect().catch(() => {});
+                await connecting;
+            }
+        });
+    });
+});
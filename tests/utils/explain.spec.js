@@ -0,0 +1,64 @@
+const { parseExplainVerbosity, summarizeExplain } = require('../../utils/explain');
+
+let explainFunctionalTest = `Explain functional test`;
+
+describe('Explain', () => {
+    describe('functional', () => {
+
+        // Test case for a missing explain option
+        it(`${explainFunctionalTest} should return null when no verbosity is requested`, () => {
+            expect(parseExplainVerbosity(undefined)).toBeNull();
+            expect(parseExplainVerbosity('')).toBeNull();
+        });
+
+        // Test case for an unsupported explain option
+        it(`${explainFunctionalTest} should reject an unknown verbosity with a 400`, () => {
+            expect(() => parseExplainVerbosity('verbose')).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        // Test case for an index scan with execution stats
+        it(`${explainFunctionalTest} should summarize an IXSCAN plan with execution stats`, () => {
+            const summary = summarizeExplain({
+                queryPlanner: {
+                    winningPlan: { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'location_1' } }
+                },
+                executionStats: { totalKeysExamined: 3, totalDocsExamined: 3, nReturned: 3, executionTimeMillis: 1 }
+            });
+
+            expect(summary).toEqual({
+                stage: 'IXSCAN',
+                indexName: 'location_1',
+                keysExamined: 3,
+                docsExamined: 3,
+                nReturned: 3,
+                executionTimeMillis: 1
+            });
+        });
+
+        // Test case for a collection scan in queryPlanner mode
+        it(`${explainFunctionalTest} should summarize a COLLSCAN plan without execution stats`, () => {
+            const summary = summarizeExplain({ queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } });
+
+            expect(summary.stage).toBe('COLLSCAN');
+            expect(summary.indexName).toBeNull();
+            expect(summary.docsExamined).toBeNull();
+        });
+
+        // Test case for a text search plan nested under the slot-based queryPlan
+        it(`${explainFunctionalTest} should report TEXT for a text search plan`, () => {
+            const summary = summarizeExplain({
+                queryPlanner: {
+                    winningPlan: {
+                        queryPlan: {
+                            stage: 'TEXT_MATCH',
+                            inputStage: { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'name_text_description_text' } }
+                        }
+                    }
+                }
+            });
+
+            expect(summary.stage).toBe('TEXT');
+            expect(summary.indexName).toBe('name_text_description_text');
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const { parseFacetOptions, facetStage, formatFacets, DEFAULT_PRICE_BUCKETS } = require('../../utils/facets');
+
+let facetsFunctionalTest = `Facets functional test`;
+
+describe('Facets', () => {
+    describe('functional', () => {
+
+        // Test case for option parsing
+        it(`${facetsFunctionalTest} should parse bucket boundaries and the location count`, () => {
+            expect(parseFacetOptions({})).toMatchObject({ locations: 10, priceBuckets: DEFAULT_PRICE_BUCKETS });
+            expect(parseFacetOptions({ priceBuckets: '0,150,300', locations: '3' })).toMatchObject({ locations: 3, priceBuckets: [0, 150, 300] });
+            expect(() => parseFacetOptions({ priceBuckets: '100,50' })).toThrow(/ascending/);
+            expect(() => parseFacetOptions({ roomBuckets: '1,abc' })).toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => parseFacetOptions({ locations: '0' })).toThrow(/locations/);
+        });
+
+        // Test case for the $facet stage
+        it(`${facetsFunctionalTest} should build an open-ended $bucket per range facet`, () => {
+            const stage = facetStage({ locations: 5, priceBuckets: [0, 100], roomBuckets: [1] });
+
+            expect(stage.$facet.locations).toEqual([{ $sortByCount: '$location' }, { $limit: 5 }]);
+            expect(stage.$facet.price[0].$bucket).toMatchObject({ groupBy: '$effectivePrice', boundaries: [0, 100, Infinity] });
+            expect(stage.$facet.priceStats[0].$group.min).toEqual({ $min: '$effectivePrice' });
+            expect(stage.$facet.rooms[0].$bucket.groupBy).toBe('$rooms');
+        });
+
+        // Test case for response formatting
+        it(`${facetsFunctionalTest} should list empty buckets and round the average price`, () => {
+            const result = {
+                locations: [{ _id: 'Paris', count: 2 }],
+                price: [{ _id: 0, count: 1 }, { _id: 200, count: 1 }],
+                rooms: [{ _id: 'below', count: 1 }, { _id: 10, count: 1 }],
+                priceStats: [{ _id: null, min: 80, max: 250.5, avg: 165.2499, count: 2 }]
+            };
+
+            expect(formatFacets(result, { priceBuckets: [0, 100, 200], roomBuckets: [5, 10] })).toEqual({
+                locations: [{ location: 'Paris', count: 2 }],
+                price: [{ min: 0, max: 100, count: 1 }, { min: 100, max: 200, count: 0 }, { min: 200, max: null, count: 1 }],
+                rooms: [{ min: null, max: 5, count: 1 }, { min: 5, max: 10, count: 0 }, { min: 10, max: null, count: 1 }],
+                priceStats: { min: 80, max: 250.5, avg: 165.25, count: 2 }
+            });
+            expect(formatFacets({ locations: [], price: [], rooms: [], priceStats: [] }, { priceBuckets: [0], roomBuckets: [1] }).priceStats)
+                .toEqual({ min: null, max: null, avg: null, count: 0 });
+        });
+    });
+});
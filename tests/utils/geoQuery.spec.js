@@ -0,0 +1,42 @@
+const { parsePoint, parseMaxDistance, parseWithinShape, withinRadius, EARTH_RADIUS_METERS } = require('../../utils/geoQuery');
+
+let geoQueryFunctionalTest = `GeoQuery functional test`;
+
+describe('GeoQuery', () => {
+    describe('functional', () => {
+
+        // Test case for point parsing
+        it(`${geoQueryFunctionalTest} should parse a [lng, lat] point and reject out of range values`, () => {
+            expect(parsePoint({ lng: '-122.4', lat: '37.8' })).toEqual([-122.4, 37.8]);
+            expect(() => parsePoint({ lng: '200', lat: '0' })).toThrow(/lng/);
+            expect(() => parsePoint({ lng: '0' })).toThrow(/lat/);
+        });
+
+        // Test case for the search radius
+        it(`${geoQueryFunctionalTest} should default the radius and reject non-positive values`, () => {
+            expect(parseMaxDistance(undefined)).toBe(5000);
+            expect(() => parseMaxDistance('-1')).toThrow(expect.objectContaining({ status: 400 }));
+            expect(withinRadius([1, 2], EARTH_RADIUS_METERS)).toEqual({ $geoWithin: { $centerSphere: [[1, 2], 1] } });
+        });
+
+        // Test case for a bounding box
+        it(`${geoQueryFunctionalTest} should turn a box into a closed polygon centred on the box`, () => {
+            const { geometry, center } = parseWithinShape({ box: '0,0,2,4' });
+
+            expect(geometry).toEqual({ type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 4], [0, 4], [0, 0]]] });
+            expect(center).toEqual([1, 2]);
+        });
+
+        // Test case for a polygon with an explicit reference point
+        it(`${geoQueryFunctionalTest} should close a polygon ring and measure from the given point`, () => {
+            const { geometry, center } = parseWithinShape({ polygon: '0,0;3,0;0,3;0,0', lng: '5', lat: '5' });
+
+            expect(geometry.coordinates[0]).toEqual([[0, 0], [3, 0], [0, 3], [0, 0]]);
+            expect(center).toEqual([5, 5]);
+            expect(() => parseWithinShape({ polygon: '0,0;1,1' })).toThrow(/three/);
+            expect(() => parseWithinShape({})).toThrow(/box or polygon/);
+            expect(() => parseWithinShape({ box: ['0,0,2,4', '1,1,3,3'] })).toThrow('box must be given once, as text');
+            expect(() => parseWithinShape({ polygon: { x: '0,0;3,0;0,3' } })).toThrow('polygon must be given once, as text');
+        });
+    });
+});
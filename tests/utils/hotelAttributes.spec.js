@@ -0,0 +1,50 @@
+const { FEATURED_INDEX, parseFeaturedQuery, parseStarsQuery, parseAttributeQuery, partialIndexReport } = require('../../utils/hotelAttributes');
+
+let hotelAttributesFunctionalTest = `Hotel attributes functional test`;
+
+describe('Hotel attributes', () => {
+    describe('functional', () => {
+
+        // Test case for the featured filter
+        it(`${hotelAttributesFunctionalTest} should always include the featured condition of the partial index`, () => {
+            expect(parseFeaturedQuery({})).toEqual({ featured: true });
+            expect(parseFeaturedQuery({ location: 'Paris', maxPrice: '200' })).toEqual({ featured: true, location: 'Paris', price: { $lte: 200 } });
+            expect(() => parseFeaturedQuery({ maxPrice: 'cheap' })).toThrow('maxPrice must be a number');
+            expect(() => parseFeaturedQuery({ location: { $regex: '.*' } })).toThrow('location must be a non-empty string');
+        });
+
+        // Test case for the star rating filter
+        it(`${hotelAttributesFunctionalTest} should require minStars and match every listed amenity`, () => {
+            expect(parseStarsQuery({ minStars: '4', maxPrice: '150', amenities: 'WiFi, pool' })).toEqual({
+                stars: { $gte: 4 },
+                price: { $lte: 150 },
+                amenities: { $all: ['wifi', 'pool'] }
+            });
+            expect(() => parseStarsQuery({})).toThrow('minStars must be an integer between 1 and 5');
+            expect(() => parseStarsQuery({ minStars: '3.5' })).toThrow('minStars must be an integer between 1 and 5');
+            expect(() => parseStarsQuery({ minStars: '6' })).toThrow('minStars must be an integer between 1 and 5');
+        });
+
+        // Test case for the partial index report
+        it(`${hotelAttributesFunctionalTest} should report whether the winning plan used the partial index`, () => {
+            const partialFilterExpression = { featured: true };
+
+            expect(partialIndexReport(FEATURED_INDEX, partialFilterExpression, { indexName: FEATURED_INDEX }))
+                .toEqual({ name: FEATURED_INDEX, partialFilterExpression, used: true });
+            expect(partialIndexReport(FEATURED_INDEX, partialFilterExpression, { indexName: null }).used).toBe(false);
+        });
+
+        // Test case for the attribute filter
+        it(`${hotelAttributesFunctionalTest} should only query allow-listed attribute paths with typed values`, () => {
+            expect(parseAttributeQuery({ path: 'parking.type', value: 'garage' }))
+                .toEqual({ field: 'attributes.parking.type', filter: { 'attributes.parking.type': 'garage' } });
+            expect(parseAttributeQuery({ path: 'petFriendly', value: 'true' }).filter).toEqual({ 'attributes.petFriendly': true });
+            expect(parseAttributeQuery({ path: 'parking.spaces', value: '12' }).filter).toEqual({ 'attributes.parking.spaces': 12 });
+            expect(() => parseAttributeQuery({ path: '$where', value: '1' })).toThrow('path must be one of');
+            expect(() => parseAttributeQuery({ path: 'constructor', value: '1' })).toThrow('path must be one of');
+            expect(() => parseAttributeQuery({ path: 'petFriendly' })).toThrow('value is required');
+            expect(() => parseAttributeQuery({ path: 'petFriendly', value: 'yes' })).toThrow('value for petFriendly must be true or false');
+            expect(() => parseAttributeQuery({ path: 'parking.spaces', value: 'many' })).toThrow('value for parking.spaces must be a number');
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { createHotelGenerator, seedHotels } = require('../../utils/hotelGenerator');
+
+let hotelGeneratorFunctionalTest = `HotelGenerator functional test`;
+
+describe('HotelGenerator', () => {
+    describe('functional', () => {
+
+        // Test case for determinism
+        it(`${hotelGeneratorFunctionalTest} should produce the same hotels for the same seed`, () => {
+            const a = Array.from({ length: 50 }, createHotelGenerator({ seed: 7 }));
+            const b = Array.from({ length: 50 }, createHotelGenerator({ seed: 7 }));
+            const c = Array.from({ length: 50 }, createHotelGenerator({ seed: 8 }));
+
+            expect(a).toEqual(b);
+            expect(a).not.toEqual(c);
+        });
+
+        // Test case for skewed locations and log-normal prices
+        it(`${hotelGeneratorFunctionalTest} should skew locations and keep prices around the median`, () => {
+            const hotels = Array.from({ length: 5000 }, createHotelGenerator({ seed: 1, medianPrice: 200 }));
+            const california = hotels.filter((hotel) => hotel.location === 'California').length;
+            const santorini = hotels.filter((hotel) => hotel.location === 'Santorini').length;
+            const prices = hotels.map((hotel) => hotel.price).sort((a, b) => a - b);
+
+            expect(california).toBeGreaterThan(santorini * 10);
+            expect(prices[2500]).toBeGreaterThan(170);
+            expect(prices[2500]).toBeLessThan(230);
+            expect(hotels.every((hotel) => hotel.rooms >= 1 && hotel.price >= 1)).toBe(true);
+        });
+
+        // Test case for keyword frequency
+        it(`${hotelGeneratorFunctionalTest} should control how often keywords appear in descriptions`, () => {
+            const countWith = (keywordFrequency) => Array.from({ length: 2000 }, createHotelGenerator({ seed: 3, keywords: ['spa'], keywordFrequency }))
+                .filter((hotel) => /\bspa\b/i.test(hotel.description)).length;
+
+            expect(countWith(0)).toBe(0);
+            expect(countWith(1)).toBe(2000);
+            expect(countWith(0.1)).toBeGreaterThan(100);
+            expect(countWith(0.1)).toBeLessThan(300);
+        });
+
+        // Test case for batching inserts
+        it(`${hotelGeneratorFunctionalTest} should insert in batches through insertMany`, async () => {
+            const Model = { insertMany: jest.fn().mockResolvedValue([]), deleteMany: jest.fn() };
+
+            const inserted = await seedHotels(Model, { count: 2500, batchSize: 1000 });
+
+            expect(inserted).toBe(2500);
+            expect(Model.insertMany.mock.calls.map(([batch]) => batch.length)).toEqual([1000, 1000, 500]);
+            expect(Model.deleteMany).not.toHaveBeenCalled();
+        });
+
+        // Test case for invalid options
+        it(`${hotelGeneratorFunctionalTest} should reject invalid counts before touching the collection`, async () => {
+            const Model = { insertMany: jest.fn(), deleteMany: jest.fn() };
+
+            await expect(seedHotels(Model, { count: 0, drop: true })).rejects.toMatchObject({ status: 400 });
+            expect(Model.deleteMany).not.toHaveBeenCalled();
+        });
+    });
+});
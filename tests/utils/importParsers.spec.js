@@ -0,0 +1,69 @@
+const { PassThrough } = require('stream');
+const { importFormatFor, parseImportStream } = require('../../utils/importParsers');
+
+// Feed the chunks through a stream and collect every parsed record
+const parse = async (format, chunks) => {
+    const stream = new PassThrough();
+    const records = parseImportStream(format, stream);
+    chunks.forEach((chunk) => stream.write(chunk));
+    stream.end();
+
+    const result = [];
+    for await (const record of records) {
+        result.push(record);
+    }
+    return result;
+};
+
+let importParsersFunctionalTest = `ImportParsers functional test`;
+
+describe('ImportParsers', () => {
+    describe('functional', () => {
+
+        // Test case for choosing the format
+        it(`${importParsersFunctionalTest} should pick the format from the query or the content type`, () => {
+            const request = (format, type) => ({ query: { format }, is: (types) => types.includes(type) });
+
+            expect(importFormatFor(request('ndjson', 'text/csv'))).toBe('ndjson');
+            expect(importFormatFor(request(undefined, 'text/csv'))).toBe('csv');
+            expect(() => importFormatFor(request(undefined, 'text/plain'))).toThrow(expect.objectContaining({ status: 415 }));
+            expect(() => importFormatFor(request('xml'))).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        // Test case for CSV quoting across chunk boundaries
+        it(`${importParsersFunctionalTest} should parse quoted CSV fields split across chunks`, async () => {
+            const records = await parse('csv', ['name,price,description\r\nA,1,"hello, ""w', 'orld""\nline"\nB,2,\n', 'C,3']);
+
+            expect(records).toEqual([
+                { row: 1, value: { name: 'A', price: '1', description: 'hello, "world"\nline' } },
+                { row: 2, value: { name: 'B', price: '2' } },
+                { row: 3, error: expect.objectContaining({ message: 'Expected 3 columns but found 2' }) }
+            ]);
+        });
+
+        // Test case for JSON arrays streamed in pieces
+        it(`${importParsersFunctionalTest} should split a streamed JSON array into elements`, async () => {
+            const records = await parse('json', ['[{"name":"x\\"]",', '"tags":[1,2]}, {"name":"\\\\"} ,', ' {bad} ]']);
+
+            expect(records).toEqual([
+                { row: 1, value: { name: 'x"]', tags: [1, 2] } },
+                { row: 2, value: { name: '\\' } },
+                { row: 3, error: expect.objectContaining({ message: expect.stringMatching(/^Invalid JSON/) }) }
+            ]);
+        });
+
+        // Test case for a body that is not an array
+        it(`${importParsersFunctionalTest} should reject a JSON body that is not an array`, async () => {
+            await expect(parse('json', ['{"name":"x"}'])).rejects.toMatchObject({ status: 400 });
+        });
+
+        // Test case for NDJSON lines
+        it(`${importParsersFunctionalTest} should parse NDJSON lines and skip blank ones`, async () => {
+            const records = await parse('ndjson', ['{"a":1}\n{"b"', ':2}\n\nnope\n{"c":3}']);
+
+            expect(records.map((record) => record.row)).toEqual([1, 2, 4, 5]);
+            expect(records[2].error.message).toMatch(/^Invalid JSON/);
+            expect(records[3].value).toEqual({ c: 3 });
+        });
+    });
+});
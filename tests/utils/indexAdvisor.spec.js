@@ -0,0 +1,98 @@
+const { classifyShape, recommendIndexKey, servesShape, pickIndex, findRedundantIndexes, buildAdvice } = require('../../utils/indexAdvisor');
+
+let indexAdvisorFunctionalTest = `IndexAdvisor functional test`;
+
+describe('IndexAdvisor', () => {
+    describe('functional', () => {
+
+        // Test case for splitting a shape into equality, sort and range fields
+        it(`${indexAdvisorFunctionalTest} should classify equality, sort and range fields`, () => {
+            const classified = classifyShape({ filter: { location: 1, rooms: { $gte: 1 } }, sort: { price: -1 } });
+
+            expect(classified).toEqual({ equality: ['location'], sort: [{ field: 'price', direction: -1 }], range: ['rooms'] });
+            expect(recommendIndexKey(classified)).toEqual({ location: 1, price: -1, rooms: 1 });
+        });
+
+        // Test case for shapes no B-tree index can serve
+        it(`${indexAdvisorFunctionalTest} should not classify text searches`, () => {
+            expect(classifyShape({ filter: { $text: { $search: 1 } } })).toBeNull();
+        });
+
+        // Test case for existing indexes serving a shape
+        it(`${indexAdvisorFunctionalTest} should accept reversed sort directions and any equality order`, () => {
+            const classified = classifyShape({ filter: { location: 1, rooms: 1 }, sort: { price: 1 } });
+
+            expect(servesShape({ rooms: 1, location: 1, price: -1 }, classified)).toBe(true);
+            expect(servesShape({ location: 1, price: 1 }, classified)).toBe(false);
+        });
+
+        // Test case for choosing an index to hint
+        it(`${indexAdvisorFunctionalTest} should pick the index serving the longest prefix of a shape`, () => {
+            const indexes = [
+                { name: 'location_1', key: { location: 1 } },
+                { name: 'location_1_price_1', key: { location: 1, price: 1 } },
+                { name: 'price_partial', key: { price: 1 }, partialFilterExpression: { price: { $gt: 100 } } }
+            ];
+
+            expect(pickIndex(indexes, classifyShape({ filter: { location: 1 } })).name).toBe('location_1');
+            expect(pickIndex(indexes, classifyShape({ filter: { location: 1, price: { $gte: 1 } } })).name).toBe('location_1_price_1');
+            expect(pickIndex(indexes, classifyShape({ filter: { price: { $gte: 1 } } }))).toBeNull();
+        });
+
+        // Test case for redundant prefix indexes
+        it(`${indexAdvisorFunctionalTest} should flag an index covered by a compound index`, () => {
+            const redundant = findRedundantIndexes([
+                { name: '_id_', key: { _id: 1 } },
+                { name: 'location_1', key: { location: 1 } },
+                { name: 'location_1_price_1', key: { location: 1, price: 1 } },
+                { name: 'name_text_description_text', key: { _fts: 'text', _ftsx: 1 } }
+            ]);
+
+            expect(redundant).toEqual([{ name: 'location_1', key: { location: 1 }, coveredBy: 'location_1_price_1' }]);
+        });
+
+        // Test case for building advice from a workload
+        it(`${indexAdvisorFunctionalTest} should suggest missing indexes and merge prefix suggestions`, () => {
+            const advice = buildAdvice([
+                { filter: { location: 1 }, sort: {}, count: 3 },
+                { filter: { rooms: 1 }, sort: {}, count: 2 },
+                { filter: { rooms: 1 }, sort: { price: 1 }, count: 1 },
+                { filter: { $text: { $search: 1 } }, sort: {}, count: 1 }
+            ], [
+                { name: 'location_1_price_1', key: { location: 1, price: 1 } }
+            ]);
+
+            expect(advice.shapesAnalyzed).toBe(4);
+            expect(advice.suggestions).toEqual([
+                { key: { rooms: 1, price: 1 }, queries: 3, shapes: expect.any(Array) }
+            ]);
+            expect(advice.unindexable).toHaveLength(1);
+        });
+
+        // Test case for partial and sparse indexes
+        it(`${indexAdvisorFunctionalTest} should not count partial or sparse indexes as serving every query`, () => {
+            const indexes = [
+                { name: 'location_1', key: { location: 1 } },
+                { name: 'featured_location_price', key: { location: 1, price: 1 }, partialFilterExpression: { featured: true } },
+                { name: 'stars_1', key: { stars: 1 }, sparse: true }
+            ];
+
+            expect(findRedundantIndexes(indexes)).toEqual([]);
+            expect(pickIndex(indexes, classifyShape({ filter: { location: 1, price: { $lte: 1 } } })).name).toBe('location_1');
+            expect(buildAdvice([{ filter: { stars: 1 }, sort: {}, count: 1 }], indexes).suggestions).toEqual([
+                { key: { stars: 1 }, queries: 1, shapes: expect.any(Array) }
+            ]);
+        });
+
+        // Test case for wildcard indexes
+        it(`${indexAdvisorFunctionalTest} should neither hint nor flag a wildcard index`, () => {
+            const indexes = [
+                { name: 'attributes.$**_1', key: { 'attributes.$**': 1 } },
+                { name: 'attributes.$**_1_location_1', key: { 'attributes.$**': 1, location: 1 } }
+            ];
+
+            expect(findRedundantIndexes(indexes)).toEqual([]);
+            expect(pickIndex(indexes, classifyShape({ filter: { 'attributes.$**': 1 } }))).toBeNull();
+        });
+    });
+});
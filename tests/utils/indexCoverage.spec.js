@@ -0,0 +1,24 @@
+const { coverageFilter, estimateSavings } = require('../../utils/indexCoverage');
+
+let indexCoverageFunctionalTest = `Index coverage functional test`;
+
+describe('Index coverage', () => {
+    describe('functional', () => {
+
+        // Test case for the documents an index covers
+        it(`${indexCoverageFunctionalTest} should match the documents a partial or sparse index has entries for`, () => {
+            expect(coverageFilter({ key: { price: 1 }, partialFilterExpression: { stars: { $gte: 4 } } })).toEqual({ stars: { $gte: 4 } });
+            expect(coverageFilter({ key: { stars: 1, amenities: 1 }, sparse: true }))
+                .toEqual({ $or: [{ stars: { $exists: true } }, { amenities: { $exists: true } }] });
+            expect(coverageFilter({ key: { location: 1 } })).toBeNull();
+        });
+
+        // Test case for the savings estimate
+        it(`${indexCoverageFunctionalTest} should extrapolate the size of a full index from the covered documents`, () => {
+            expect(estimateSavings({ size: 4096, documents: 100, total: 1000 })).toEqual({ estimatedFullSize: 40960, savedBytes: 36864 });
+            expect(estimateSavings({ size: 4096, documents: 1000, total: 1000 })).toEqual({ estimatedFullSize: 4096, savedBytes: 0 });
+            expect(estimateSavings({ size: null, documents: 10, total: 100 })).toEqual({ estimatedFullSize: null, savedBytes: null });
+            expect(estimateSavings({ size: 4096, documents: 0, total: 100 })).toEqual({ estimatedFullSize: null, savedBytes: null });
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { parseIndexSpec } = require('../../utils/indexSpec');
+
+let indexSpecFunctionalTest = `IndexSpec functional test`;
+
+describe('IndexSpec', () => {
+    describe('functional', () => {
+
+        // Test case for a compound index spec
+        it(`${indexSpecFunctionalTest} should accept a compound index with options`, () => {
+            const spec = parseIndexSpec({ key: { location: 1, price: -1 }, options: { name: 'loc_price', unique: true } });
+
+            expect(spec).toEqual({ key: { location: 1, price: -1 }, options: { name: 'loc_price', unique: true } });
+        });
+
+        // Test case for a partial index spec without options
+        it(`${indexSpecFunctionalTest} should default options to an empty object`, () => {
+            expect(parseIndexSpec({ key: { rooms: 1 } }).options).toEqual({});
+        });
+
+        // Test case for a missing key
+        it(`${indexSpecFunctionalTest} should reject a spec without a key`, () => {
+            expect(() => parseIndexSpec({ options: {} })).toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => parseIndexSpec({ key: {} })).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        // Test case for an invalid key type
+        it(`${indexSpecFunctionalTest} should reject an unknown index type`, () => {
+            expect(() => parseIndexSpec({ key: { price: 2 } })).toThrow(/Invalid index type/);
+        });
+
+        // Test case for unsupported options
+        it(`${indexSpecFunctionalTest} should reject options that are not allowed`, () => {
+            expect(() => parseIndexSpec({ key: { price: 1 }, options: { dropDups: true } })).toThrow(/dropDups/);
+        });
+
+        // Test case for TTL index constraints
+        it(`${indexSpecFunctionalTest} should only allow TTL on a single ascending or descending field`, () => {
+            expect(parseIndexSpec({ key: { createdAt: 1 }, options: { expireAfterSeconds: 60 } }).options.expireAfterSeconds).toBe(60);
+            expect(() => parseIndexSpec({ key: { a: 1, b: 1 }, options: { expireAfterSeconds: 60 } })).toThrow(/TTL/);
+            expect(() => parseIndexSpec({ key: { a: 1 }, options: { expireAfterSeconds: -1 } })).toThrow(/expireAfterSeconds/);
+        });
+
+        // Test case for weights on a non-text index
+        it(`${indexSpecFunctionalTest} should only allow weights on a text index`, () => {
+            expect(() => parseIndexSpec({ key: { name: 1 }, options: { weights: { name: 10 } } })).toThrow(/weights/);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const config = require('../../config');
+const { createLogger, runWithContext, currentContext, serializeError } = require('../../utils/logger');
+
+// Logger writing into an array of parsed lines
+const capture = (level) => {
+    const lines = [];
+    const logger = createLogger({ level, write: (line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+};
+
+let loggerFunctionalTest = `Logger functional test`;
+
+describe('Logger', () => {
+    describe('functional', () => {
+
+        // Test case for levels
+        it(`${loggerFunctionalTest} should write JSON lines at or above the configured level`, () => {
+            const { logger, lines } = capture('info');
+
+            logger.debug('hidden');
+            logger.info('shown', { hotels: 3 });
+            logger.error('failed');
+
+            expect(lines).toEqual([
+                expect.objectContaining({ level: 'info', msg: 'shown', hotels: 3 }),
+                expect.objectContaining({ level: 'error', msg: 'failed' })
+            ]);
+            expect(new Date(lines[0].time).toISOString()).toBe(lines[0].time);
+        });
+
+        // Test case for the request context
+        it(`${loggerFunctionalTest} should add the request context to lines logged inside it, across awaits`, async () => {
+            const { logger, lines } = capture('debug');
+
+            await runWithContext({ requestId: 'req-1' }, async () => {
+                await new Promise((resolve) => setTimeout(resolve, 1));
+                logger.debug('inside');
+            });
+            logger.debug('outside');
+
+            expect(lines[0]).toEqual(expect.objectContaining({ msg: 'inside', requestId: 'req-1' }));
+            expect(lines[1].requestId).toBeUndefined();
+            expect(currentContext()).toEqual({});
+        });
+
+        // Test case for errors
+        it(`${loggerFunctionalTest} should serialize errors and leave the stack out in production`, () => {
+            const { logger, lines } = capture('info');
+            const err = Object.assign(new Error('boom'), { code: 11000 });
+
+            logger.error('failed', { err });
+            expect(lines[0].err).toEqual({ name: 'Error', message: 'boom', code: 11000, stack: err.stack });
+
+            const env = config.env;
+            config.env = 'production';
+            try {
+                expect(serializeError(err)).toEqual({ name: 'Error', message: 'boom', code: 11000 });
+            } finally {
+                config.env = env;
+            }
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const { createRegistry } = require('../../utils/metrics');
+const { logger } = require('../../utils/logger');
+
+let metricsFunctionalTest = `Metrics functional test`;
+
+describe('Metrics', () => {
+    describe('functional', () => {
+
+        // Test case for counters and gauges
+        it(`${metricsFunctionalTest} should render labelled counters and gauges with escaped values`, async () => {
+            const registry = createRegistry();
+            const counter = registry.counter('jobs_total', 'Jobs run', { labelNames: ['queue', 'status'] });
+            const gauge = registry.gauge('workers', 'Busy workers');
+
+            counter.inc({ status: 'ok', queue: 'import "csv"' });
+            counter.inc({ queue: 'import "csv"', status: 'ok' }, 2);
+            gauge.inc();
+            gauge.inc();
+            gauge.dec();
+
+            expect(await registry.render()).toBe([
+                '# HELP jobs_total Jobs run',
+                '# TYPE jobs_total counter',
+                'jobs_total{queue="import \\"csv\\"",status="ok"} 3',
+                '# HELP workers Busy workers',
+                '# TYPE workers gauge',
+                'workers 1',
+                ''
+            ].join('\n'));
+        });
+
+        // Test case for histograms
+        it(`${metricsFunctionalTest} should render cumulative histogram buckets with sum and count`, async () => {
+            const registry = createRegistry();
+            const histogram = registry.histogram('latency_seconds', 'Latency', { labelNames: ['route'], buckets: [0.1, 1] });
+
+            histogram.observe({ route: '/a' }, 0.05);
+            histogram.observe({ route: '/a' }, 0.5);
+            histogram.observe({ route: '/a' }, 3);
+
+            const text = await registry.render();
+            expect(text).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1');
+            expect(text).toContain('latency_seconds_bucket{route="/a",le="1"} 2');
+            expect(text).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3');
+            expect(text).toContain('latency_seconds_sum{route="/a"} 3.55');
+            expect(text).toContain('latency_seconds_count{route="/a"} 3');
+        });
+
+        // Test case for collectors
+        it(`${metricsFunctionalTest} should refresh collected metrics on every render and survive collector errors`, async () => {
+            const registry = createRegistry();
+            let value = 1;
+            registry.gauge('snapshot', 'Collected value', { collect: (metric) => metric.set({}, value++) });
+            registry.gauge('broken', 'Failing collector', { collect: () => Promise.reject(new Error('down')) });
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+            await registry.render();
+            expect(await registry.render()).toContain('snapshot 2');
+            expect(logger.error).toHaveBeenCalledWith('Failed to collect metric', expect.objectContaining({ metric: 'broken' }));
+            logger.error.mockRestore();
+        });
+    });
+});
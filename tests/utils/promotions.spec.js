@@ -0,0 +1,56 @@
+const { activeAt, bestPromotions, effectivePrice, withinRange, effectivePriceExpression, parsePromotionRequest } = require('../../utils/promotions');
+
+let promotionsFunctionalTest = `Promotions functional test`;
+
+describe('Promotions', () => {
+    describe('functional', () => {
+
+        // Test case for the effective price
+        it(`${promotionsFunctionalTest} should apply the lowest running promotion and never raise the price`, () => {
+            const best = bestPromotions([
+                { hotel: 'a', price: 80 },
+                { hotel: 'b', price: 90 },
+                { hotel: 'a', price: 95 }
+            ]);
+
+            expect(best.get('a').price).toBe(80);
+            expect(effectivePrice(100, best.get('a'))).toBe(80);
+            expect(effectivePrice(85, best.get('b'))).toBe(85);
+            expect(effectivePrice(100, null)).toBe(100);
+        });
+
+        // Test case for search price ranges
+        it(`${promotionsFunctionalTest} should check prices against open and closed ranges`, () => {
+            expect(withinRange(80, { $gte: 50, $lte: 100 })).toBe(true);
+            expect(withinRange(120, { $lte: 100 })).toBe(false);
+            expect(withinRange(40, { $gte: 50 })).toBe(false);
+        });
+
+        // Test case for the aggregation effective price
+        it(`${promotionsFunctionalTest} should look promoted hotels up by id and keep the list price otherwise`, () => {
+            const { $let: expression } = effectivePriceExpression([{ id: 'a', price: 80 }, { id: 'b', price: 90 }]);
+
+            expect(expression.vars.at.$indexOfArray).toEqual([{ $literal: ['a', 'b'] }, '$_id']);
+            expect(expression.in.$cond[1].$min).toEqual(['$price', { $arrayElemAt: [{ $literal: [80, 90] }, '$$at'] }]);
+            expect(expression.in.$cond[2]).toBe('$price');
+        });
+
+        // Test case for running promotions
+        it(`${promotionsFunctionalTest} should select promotions that have started and not yet expired`, () => {
+            const now = new Date('2030-01-01T12:00:00Z');
+
+            expect(activeAt(now)).toEqual({ startsAt: { $lte: now }, expiresAt: { $gt: now } });
+        });
+
+        // Test case for promotion bodies
+        it(`${promotionsFunctionalTest} should require a future expiry within 90 days of the start`, () => {
+            const now = new Date('2030-01-01T00:00:00Z');
+
+            expect(parsePromotionRequest({ price: 99, expiresAt: '2030-01-08' }, now)).toEqual({ price: 99, startsAt: now, expiresAt: new Date('2030-01-08') });
+            expect(() => parsePromotionRequest({ price: 99 }, now)).toThrow('expiresAt is required');
+            expect(() => parsePromotionRequest({ price: 99, expiresAt: 'soon' }, now)).toThrow('expiresAt must be a valid date');
+            expect(() => parsePromotionRequest({ price: 99, expiresAt: '2029-12-31' }, now)).toThrow('expiresAt must be in the future and after startsAt');
+            expect(() => parsePromotionRequest({ price: 99, expiresAt: '2030-06-01' }, now)).toThrow('Promotions are limited to 90 days');
+        });
+    });
+});
@@ -0,0 +1,30 @@
+const { shapeOf, shapeKey } = require('../../utils/queryShape');
+
+let queryShapeFunctionalTest = `QueryShape functional test`;
+
+describe('QueryShape', () => {
+    describe('functional', () => {
+
+        // Test case for stripping values out of a filter
+        it(`${queryShapeFunctionalTest} should replace values but keep fields and operators`, () => {
+            const shape = shapeOf({ location: 'California', price: { $gte: 100, $lte: 300 }, rooms: { $in: [1, 2] } });
+
+            expect(shape).toEqual({ location: 1, price: { $gte: 1, $lte: 1 }, rooms: { $in: 1 } });
+        });
+
+        // Test case for logical operators holding sub-filters
+        it(`${queryShapeFunctionalTest} should keep the structure of $or sub-filters`, () => {
+            expect(shapeOf({ $or: [{ location: 'Paris' }, { price: 10 }] })).toEqual({ $or: [{ location: 1 }, { price: 1 }] });
+        });
+
+        // Test case for grouping queries that only differ by value
+        it(`${queryShapeFunctionalTest} should give the same key to queries with different values`, () => {
+            const a = shapeKey({ operation: 'find', filter: { price: 100, location: 'Paris' }, sort: { price: 1 } });
+            const b = shapeKey({ operation: 'find', filter: { location: 'Rome', price: 250 }, sort: { price: 1 } });
+            const c = shapeKey({ operation: 'find', filter: { location: 'Rome', price: 250 }, sort: { price: -1 } });
+
+            expect(a).toBe(b);
+            expect(a).not.toBe(c);
+        });
+    });
+});
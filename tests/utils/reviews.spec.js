@@ -0,0 +1,34 @@
+const { parseReviewPage, parseTopRatedQuery, addRatingUpdate } = require('../../utils/reviews');
+
+let reviewsFunctionalTest = `Reviews functional test`;
+
+describe('Reviews', () => {
+    describe('functional', () => {
+
+        // Test case for review pagination
+        it(`${reviewsFunctionalTest} should default and bound the review page and limit`, () => {
+            expect(parseReviewPage({})).toEqual({ page: 1, limit: 20 });
+            expect(parseReviewPage({ page: '3', limit: '5' })).toEqual({ page: 3, limit: 5 });
+            expect(() => parseReviewPage({ page: '0' })).toThrow('page must be an integer of at least 1');
+            expect(() => parseReviewPage({ limit: '101' })).toThrow('limit must be an integer between 1 and 100');
+        });
+
+        // Test case for top rated options
+        it(`${reviewsFunctionalTest} should require a location for top rated hotels`, () => {
+            expect(parseTopRatedQuery({ location: 'Paris' })).toEqual({ location: 'Paris', limit: 10, minReviews: 1 });
+            expect(parseTopRatedQuery({ location: 'Paris', limit: '3', minReviews: '5' })).toEqual({ location: 'Paris', limit: 3, minReviews: 5 });
+            expect(() => parseTopRatedQuery({})).toThrow('location is required');
+            expect(() => parseTopRatedQuery({ location: ['a', 'b'] })).toThrow('location is required');
+            expect(() => parseTopRatedQuery({ location: 'Paris', minReviews: '1.5' })).toThrow('minReviews must be an integer of at least 1');
+        });
+
+        // Test case for the rating update
+        it(`${reviewsFunctionalTest} should update the counters and the average in one server-side pipeline`, () => {
+            const [counters, average] = addRatingUpdate(4);
+
+            expect(counters.$set.reviewCount).toEqual({ $add: [{ $ifNull: ['$reviewCount', 0] }, 1] });
+            expect(counters.$set.ratingTotal).toEqual({ $add: [{ $ifNull: ['$ratingTotal', 0] }, 4] });
+            expect(average.$set.avgRating).toEqual({ $round: [{ $divide: ['$ratingTotal', '$reviewCount'] }, 2] });
+        });
+    });
+});
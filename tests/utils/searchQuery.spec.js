@@ -0,0 +1,106 @@
+const { parseLimit, parseSearchQuery, encodeCursor, decodeCursor, afterCursor, isAfterCursor, compareBy } = require('../../utils/searchQuery');
+
+let searchQueryFunctionalTest = `SearchQuery functional test`;
+
+describe('SearchQuery', () => {
+    describe('functional', () => {
+
+        // Test case for combining filters
+        it(`${searchQueryFunctionalTest} should build a filter from location, ranges and text`, () => {
+            const search = parseSearchQuery({ location: 'Paris', minPrice: '100', maxPrice: '300', minRooms: '2', q: 'spa' });
+
+            expect(search.filter).toEqual({
+                location: 'Paris',
+                price: { $gte: 100, $lte: 300 },
+                rooms: { $gte: 2 },
+                $text: { $search: 'spa' }
+            });
+            expect(search.page).toBe(1);
+            expect(search.limit).toBe(20);
+        });
+
+        // Test case for sort and projection parsing
+        it(`${searchQueryFunctionalTest} should parse sort fields and projections`, () => {
+            const search = parseSearchQuery({ sort: 'price,-rooms', fields: 'name,price' });
+
+            expect(search.sort).toEqual({ price: 1, rooms: -1 });
+            expect(search.projection).toEqual({ name: 1, price: 1 });
+        });
+
+        // Test case for invalid parameters
+        it(`${searchQueryFunctionalTest} should reject unknown sort fields and bad numbers`, () => {
+            expect(() => parseSearchQuery({ sort: 'secret' })).toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => parseSearchQuery({ minPrice: 'cheap' })).toThrow(/minPrice/);
+            expect(() => parseSearchQuery({ limit: '1000' })).toThrow(/limit/);
+            expect(() => parseSearchQuery({ cursor: '', page: '2' })).toThrow(/either page or cursor/);
+        });
+
+        // Test case for keyset pagination on price
+        it(`${searchQueryFunctionalTest} should add _id as a tie-breaker for price cursors`, () => {
+            const search = parseSearchQuery({ sort: '-price', cursor: '' });
+
+            expect(search.sort).toEqual({ price: -1, _id: -1 });
+            expect(search.keyset).toEqual({ field: 'price', direction: -1, after: null });
+            expect(() => parseSearchQuery({ sort: 'rooms', cursor: '' })).toThrow(/Cursor pagination/);
+        });
+
+        // Test case for cursor round trips
+        it(`${searchQueryFunctionalTest} should encode and decode cursors`, () => {
+            const cursor = decodeCursor(encodeCursor({ _id: 'abc', price: 120 }, 'price'));
+
+            expect(cursor).toEqual({ v: 120, id: 'abc' });
+            expect(afterCursor(cursor, 'price', 1)).toEqual({ $or: [{ price: { $gt: 120 } }, { price: 120, _id: { $gt: 'abc' } }] });
+            expect(() => decodeCursor('not-a-cursor')).toThrow(/Invalid cursor/);
+        });
+
+        // Test case for cursors checked against hotels in memory
+        it(`${searchQueryFunctionalTest} should place documents after the cursor as afterCursor does`, () => {
+            const cursor = { v: 120, id: 'b' };
+
+            expect(isAfterCursor(cursor, 'price', 1, 130, 'a')).toBe(true);
+            expect(isAfterCursor(cursor, 'price', 1, 120, 'c')).toBe(true);
+            expect(isAfterCursor(cursor, 'price', 1, 120, 'b')).toBe(false);
+            expect(isAfterCursor(cursor, 'price', -1, 120, 'a')).toBe(true);
+            expect(isAfterCursor(cursor, '_id', 1, undefined, 'c')).toBe(true);
+        });
+
+        // Test case for merging sorted lists
+        it(`${searchQueryFunctionalTest} should compare by each sort key in turn, highest text score first`, () => {
+            const docs = [{ _id: 'b', price: 100, score: 1 }, { _id: 'a', price: 100, score: 2 }, { _id: 'c', price: 90, score: 1 }];
+            const valueOf = (doc, field) => doc[field];
+
+            expect([...docs].sort(compareBy({ price: -1, _id: 1 }, valueOf)).map((doc) => doc._id)).toEqual(['a', 'b', 'c']);
+            expect([...docs].sort(compareBy({ score: { $meta: 'textScore' }, _id: 1 }, valueOf)).map((doc) => doc._id)).toEqual(['a', 'b', 'c']);
+        });
+
+        // Test case for operators smuggled in through a crafted cursor
+        it(`${searchQueryFunctionalTest} should reject cursors whose position is not a number or string`, () => {
+            const crafted = Buffer.from(JSON.stringify({ v: { $gt: 0 }, id: 'abc' })).toString('base64url');
+
+            expect(() => decodeCursor(crafted)).toThrow(/Invalid cursor/);
+            expect(() => parseSearchQuery({ sort: 'price', cursor: [crafted] })).toThrow(/Invalid cursor/);
+        });
+
+        // Test case for repeated parameters
+        it(`${searchQueryFunctionalTest} should return 400 for repeated sort and fields parameters`, () => {
+            expect(() => parseSearchQuery({ sort: ['price', 'rooms'] })).toThrow('sort must be a single comma-separated list');
+            expect(() => parseSearchQuery({ fields: ['name', 'price'] })).toThrow('fields must be a single comma-separated list');
+        });
+
+        // Test case for list limits
+        it(`${searchQueryFunctionalTest} should default and bound the limit of list routes`, () => {
+            expect(parseLimit({})).toBe(20);
+            expect(parseLimit({ limit: '100' })).toBe(100);
+            expect(() => parseLimit({ limit: '101' })).toThrow('limit must not exceed 100');
+            expect(() => parseLimit({ limit: '0' })).toThrow('limit must be a positive integer');
+        });
+
+        // Test case for operator injection through the location
+        it(`${searchQueryFunctionalTest} should only accept a string location`, () => {
+            expect(parseSearchQuery({ location: 'Paris' }).filter).toEqual({ location: 'Paris' });
+            expect(parseSearchQuery({ location: '' }).filter).toEqual({});
+            expect(() => parseSearchQuery({ location: { $ne: null } })).toThrow('location must be a non-empty string');
+            expect(() => parseSearchQuery({ location: ['Paris', 'Rome'] })).toThrow('location must be a non-empty string');
+        });
+    });
+});
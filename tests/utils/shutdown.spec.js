@@ -0,0 +1,114 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const app = require('../../app');
+const { createShutdown, abortIndexBuilds } = require('../../utils/shutdown');
+const { buildIndex } = require('../../utils/indexBuilds');
+const { logger } = require('../../utils/logger');
+
+// Start `handler` on a free port; resolves with the server and its base URL
+const listen = (handler) => new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// App whose /slow route answers after `ms` milliseconds
+const slowApp = (ms) => {
+    const slow = express();
+    slow.get('/slow', (req, res) => {
+        const timer = setTimeout(() => res.status(200).json({ done: true }), ms);
+        res.on('close', () => clearTimeout(timer));
+    });
+    return slow;
+};
+
+// Connected Mongoose connection; `dropIndex` records the indexes shutdown drops
+const fakeConnection = (dropIndex = jest.fn().mockResolvedValue()) => ({
+    readyState: 1,
+    db: { databaseName: 'appdb', collection: (name) => ({ dropIndex: (index) => dropIndex(`${name}.${index}`) }) },
+    close: jest.fn().mockResolvedValue()
+});
+
+let shutdownBoundaryTest = `Shutdown boundary test`;
+
+describe('Shutdown', () => {
+    describe('boundary', () => {
+
+        beforeEach(() => {
+            ['info', 'warn', 'error'].forEach((level) => jest.spyOn(logger, level).mockImplementation(() => {}));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        // Test case for draining in-flight requests
+        it(`${shutdownBoundaryTest} should let in-flight requests finish before closing the server and the connection`, async () => {
+            const { server, url } = await listen(slowApp(200));
+            const connection = fakeConnection();
+            const shutdown = createShutdown(server, { connection, timeoutMs: 2000 });
+
+            const inFlight = request(url).get('/slow');
+            const response = inFlight.then((res) => res);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            const result = await shutdown('SIGTERM');
+
+            expect((await response).body).toEqual({ done: true });
+            expect((await response).headers.connection).toBe('close');
+            expect(result).toEqual({ timedOut: false, abortedIndexBuilds: [] });
+            expect(server.listening).toBe(false);
+            expect(connection.close).toHaveBeenCalledTimes(1);
+            expect(shutdown('SIGINT')).toBe(shutdown('SIGTERM'));
+        });
+
+        // Test case for the drain timeout
+        it(`${shutdownBoundaryTest} should cut off requests still running after the timeout`, async () => {
+            const { server, url } = await listen(slowApp(5000));
+            const connection = fakeConnection();
+            const shutdown = createShutdown(server, { connection, timeoutMs: 100 });
+
+            const inFlight = request(url).get('/slow').then(() => 'answered', () => 'cut off');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            const result = await shutdown();
+
+            expect(result.timedOut).toBe(true);
+            expect(await inFlight).toBe('cut off');
+            expect(connection.close).toHaveBeenCalledTimes(1);
+        });
+
+        // Test case for the real app
+        it(`${shutdownBoundaryTest} should start and stop the real app cleanly and fail readiness while stopping`, async () => {
+            const { server, url } = await listen(app);
+            const shutdown = createShutdown(server, { timeoutMs: 1000 });
+
+            expect((await request(url).get('/healthz')).status).toBe(200);
+            await shutdown();
+
+            expect(server.listening).toBe(false);
+            const readiness = await request(app).get('/readyz');
+            expect(readiness.status).toBe(503);
+            expect(readiness.body.checks.shuttingDown).toBe(true);
+        });
+
+        // Test case for aborting index builds
+        it(`${shutdownBoundaryTest} should only abort the index builds this process started`, async () => {
+            let finishBuild;
+            const collection = {
+                collectionName: 'hotels',
+                createIndex: jest.fn(() => new Promise((resolve) => {
+                    finishBuild = () => resolve('rooms_1');
+                }))
+            };
+            const dropIndex = jest.fn().mockResolvedValue();
+
+            const build = buildIndex(collection, { rooms: 1 });
+            expect(collection.createIndex).toHaveBeenCalledWith({ rooms: 1 }, { name: 'rooms_1' });
+            expect(await abortIndexBuilds(fakeConnection(dropIndex))).toEqual(['hotels.rooms_1']);
+            expect(dropIndex).toHaveBeenCalledTimes(1);
+
+            finishBuild();
+            expect(await build).toBe('rooms_1');
+            expect(await abortIndexBuilds(fakeConnection(dropIndex))).toEqual([]);
+        });
+    });
+});
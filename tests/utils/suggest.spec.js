@@ -0,0 +1,38 @@
+const { normalizeForSuggest, edgeNgrams, matchesPrefix, parseSuggestQuery, MAX_GRAM_LENGTH } = require('../../utils/suggest');
+
+let suggestFunctionalTest = `Suggest functional test`;
+
+describe('Suggest', () => {
+    describe('functional', () => {
+
+        // Test case for normalization
+        it(`${suggestFunctionalTest} should lower-case, strip diacritics and collapse whitespace`, () => {
+            expect(normalizeForSuggest('  Zürich   Hôtel ')).toBe('zurich hotel');
+        });
+
+        // Test case for edge n-grams
+        it(`${suggestFunctionalTest} should build prefixes of the whole value and of each word`, () => {
+            const grams = edgeNgrams('New York City');
+
+            expect(grams).toEqual(expect.arrayContaining(['n', 'new', 'new y', 'new york', 'y', 'york', 'york c', 'city']));
+            expect(new Set(grams).size).toBe(grams.length);
+            expect(edgeNgrams('a'.repeat(50)).every((gram) => gram.length <= MAX_GRAM_LENGTH)).toBe(true);
+            expect(edgeNgrams(undefined)).toEqual([]);
+        });
+
+        // Test case for long prefixes that exceed the stored n-grams
+        it(`${suggestFunctionalTest} should match prefixes of the value or any of its words`, () => {
+            expect(matchesPrefix('Grand Hôtel de la Plage', 'hotel de')).toBe(true);
+            expect(matchesPrefix('Grand Hôtel de la Plage', 'plaza')).toBe(false);
+        });
+
+        // Test case for query validation
+        it(`${suggestFunctionalTest} should validate q, field and limit`, () => {
+            expect(parseSuggestQuery({ q: 'Ber' })).toEqual({ field: 'name', prefix: 'ber', gram: 'ber', limit: 10 });
+            expect(parseSuggestQuery({ q: 'x'.repeat(30), field: 'location' }).gram).toHaveLength(MAX_GRAM_LENGTH);
+            expect(() => parseSuggestQuery({ q: ' ' })).toThrow(/q is required/);
+            expect(() => parseSuggestQuery({ q: 'a', field: 'price' })).toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => parseSuggestQuery({ q: 'a', limit: '21' })).toThrow(/limit/);
+        });
+    });
+});
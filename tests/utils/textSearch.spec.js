@@ -0,0 +1,57 @@
+const { parseTextSearch, textSearchFilter, highlight } = require('../../utils/textSearch');
+
+let textSearchFunctionalTest = `TextSearch functional test`;
+
+describe('TextSearch', () => {
+    describe('functional', () => {
+
+        // Test case for phrase and negation parsing
+        it(`${textSearchFunctionalTest} should split phrases, negated terms and plain terms`, () => {
+            expect(parseTextSearch('"ocean view" resort -hostel')).toEqual({
+                terms: ['resort'],
+                phrases: ['ocean view'],
+                negated: ['hostel']
+            });
+        });
+
+        // Test case for the $text filter
+        it(`${textSearchFunctionalTest} should build a $text filter with an optional language`, () => {
+            expect(textSearchFilter('plage', 'french')).toEqual({ $text: { $search: 'plage', $language: 'french' } });
+            expect(() => textSearchFilter('plage', 'klingon')).toThrow(/language must be one of/);
+            expect(() => textSearchFilter('  ')).toThrow(expect.objectContaining({ status: 400 }));
+        });
+
+        // Test case for highlighting
+        it(`${textSearchFunctionalTest} should mark phrases and stemmed terms`, () => {
+            const parsed = parseTextSearch('"ocean view" resort -hostel');
+
+            expect(highlight('Two Resorts with an Ocean View', parsed)).toBe('Two <mark>Resorts</mark> with an <mark>Ocean View</mark>');
+            expect(highlight('A quiet hostel', parsed)).toBeNull();
+        });
+
+        // Test case for long descriptions
+        it(`${textSearchFunctionalTest} should cut a snippet around the first match`, () => {
+            const text = `${'lorem '.repeat(60)}beachfront ${'ipsum '.repeat(60)}`;
+            const snippet = highlight(text, parseTextSearch('beachfront'), 80);
+
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+            expect(snippet).toContain('<mark>beachfront</mark>');
+        });
+
+        // Test case for HTML in partner text
+        it(`${textSearchFunctionalTest} should escape HTML in the text around and inside the marks`, () => {
+            const snippet = highlight('<img src=x onerror=alert(1)> Resort & "Spa"', parseTextSearch('resort'));
+
+            expect(snippet).toBe('&lt;img src=x onerror=alert(1)&gt; <mark>Resort</mark> &amp; &quot;Spa&quot;');
+            expect(highlight('Amp & Resort', parseTextSearch('amp'))).toBe('<mark>Amp</mark> &amp; Resort');
+        });
+
+        // Test case for non-ASCII words
+        it(`${textSearchFunctionalTest} should highlight terms that start with or contain accented letters`, () => {
+            expect(highlight('Un hôtel élégant près de la mer', parseTextSearch('élégant'))).toBe('Un hôtel <mark>élégant</mark> près de la mer');
+            expect(highlight('Un hôtel élégant', parseTextSearch('hôt'))).toBe('Un <mark>hôtel</mark> élégant');
+            expect(highlight('Café Zürich', parseTextSearch('rich'))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,26 @@
+// Delay before retry number `attempt` (1-based): doubles each time up to maxMs, with "equal jitter"
+// so processes restarted together don't hammer the server in lockstep
+const backoffDelay = (attempt, { baseMs, maxMs, random = Math.random }) => {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run `operation` until it resolves, retrying up to `retries` times; rethrows the last error
+const retryWithBackoff = async (operation, { retries, baseMs, maxMs, onRetry = () => {}, wait = sleep, random }) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (err) {
+            if (attempt > retries) {
+                throw err;
+            }
+            const delayMs = backoffDelay(attempt, { baseMs, maxMs, random });
+            onRetry(err, { attempt, delayMs });
+            await wait(delayMs);
+        }
+    }
+};
+
+module.exports = { backoffDelay, retryWithBackoff };
@@ -0,0 +1,172 @@
+const createError = require('http-errors');
+const { summarizeExplain } = require('./explain');
+const { percentile } = require('./stats');
+const { buildIndex } = require('./indexBuilds');
+
+const DEFAULT_ITERATIONS = 20;
+const MAX_ITERATIONS = 1000;
+const TEXT_INDEX_KEY = { name: 'text', description: 'text' };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The query behind each /test-* route and the index it is meant to use.
+// Text search cannot run without its index, so its baseline is the equivalent regex scan.
+const SCENARIOS = {
+    'single-field': {
+        index: { location: 1 },
+        filter: ({ location }) => ({ location, deletedAt: null })
+    },
+    compound: {
+        index: { location: 1, price: 1 },
+        filter: ({ location, price }) => ({ location, price, deletedAt: null })
+    },
+    text: {
+        index: TEXT_INDEX_KEY,
+        filter: ({ search }) => ({ $text: { $search: search }, deletedAt: null }),
+        baseline: ({ search }) => {
+            const pattern = new RegExp(search.split(/\s+/).map(escapeRegExp).join('|'), 'i');
+            return { $or: [{ name: pattern }, { description: pattern }], deletedAt: null };
+        }
+    },
+    dynamic: {
+        index: { price: 1 },
+        filter: ({ price }) => ({ price, deletedAt: null })
+    }
+};
+
+const isText = (key) => Object.values(key).includes('text');
+
+const elapsedMs = (startedAt) => Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const latencyStats = (durations) => ({
+    p50: round(percentile(durations, 50)),
+    p95: round(percentile(durations, 95)),
+    p99: round(percentile(durations, 99)),
+    mean: round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length),
+    max: round(Math.max(...durations))
+});
+
+// Time `iterations` runs of a query (after one warm-up run) and explain it once for the scan counts
+const measure = async (collection, filter, hint, iterations) => {
+    const options = hint ? { hint } : {};
+    await collection.find(filter, options).toArray();
+
+    const durations = [];
+    for (let i = 0; i < iterations; i++) {
+        const startedAt = process.hrtime.bigint();
+        await collection.find(filter, options).toArray();
+        durations.push(elapsedMs(startedAt));
+    }
+
+    const plan = summarizeExplain(await collection.find(filter, options).explain('executionStats'));
+    return {
+        latency: latencyStats(durations),
+        plan: {
+            stage: plan.stage,
+            indexName: plan.indexName,
+            keysExamined: plan.keysExamined,
+            docsExamined: plan.docsExamined,
+            nReturned: plan.nReturned
+        }
+    };
+};
+
+// Validate benchmark options from the query string
+const parseBenchmarkOptions = (query) => {
+    const iterations = query.iterations === undefined ? DEFAULT_ITERATIONS : Number(query.iterations);
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+        throw createError(400, `iterations must be an integer between 1 and ${MAX_ITERATIONS}`);
+    }
+    const scenarios = query.scenarios ? query.scenarios.split(',') : Object.keys(SCENARIOS);
+    const unknown = scenarios.filter((name) => !SCENARIOS[name]);
+    if (unknown.length > 0) {
+        throw createError(400, `Unknown scenarios: ${unknown.join(', ')}`);
+    }
+    const price = query.price === undefined ? 200 : Number(query.price);
+    if (!Number.isFinite(price)) {
+        throw createError(400, 'price must be a number');
+    }
+    return {
+        iterations,
+        scenarios,
+        params: { location: query.location || 'California', price, search: query.search || 'beachfront' }
+    };
+};
+
+// One run at a time per process: concurrent runs would skew each other's timings
+let running = false;
+
+// Run each scenario with its index and with the index hinted off, on a scratch copy of the collection
+// so the live collection never gains or loses an index; the copy is dropped when the run ends
+const runBenchmark = async (db, collectionName, { iterations, scenarios, params }) => {
+    if (running) {
+        throw createError(409, 'A benchmark is already running');
+    }
+    running = true;
+    const scratch = db.collection(`${collectionName}_benchmark_${Date.now().toString(36)}`);
+    try {
+        await db.collection(collectionName).aggregate([{ $out: scratch.collectionName }]).toArray();
+
+        const results = [];
+        for (const name of scenarios) {
+            const scenario = SCENARIOS[name];
+            await buildIndex(scratch, scenario.index);
+
+            const filter = scenario.filter(params);
+            const indexed = await measure(scratch, filter, isText(scenario.index) ? null : scenario.index, iterations);
+            const unindexed = await measure(scratch, scenario.baseline ? scenario.baseline(params) : filter, { $natural: 1 }, iterations);
+
+            results.push({
+                scenario: name,
+                index: scenario.index,
+                indexed,
+                unindexed,
+                speedup: indexed.latency.p50 > 0 ? round(unindexed.latency.p50 / indexed.latency.p50) : null
+            });
+        }
+        return { collection: collectionName, iterations, params, results };
+    } finally {
+        running = false;
+        await scratch.drop().catch((err) => {
+            // NamespaceNotFound: the copy was never created
+            if (err.code !== 26) {
+                throw err;
+            }
+        });
+    }
+};
+
+// Render a benchmark report as a fixed-width text table
+const formatTable = (report) => {
+    const header = ['scenario', 'mode', 'stage', 'index', 'p50 ms', 'p95 ms', 'keys', 'docs', 'returned', 'speedup'];
+    const rows = [];
+    report.results.forEach((result) => {
+        [['indexed', result.indexed], ['unindexed', result.unindexed]].forEach(([mode, run]) => {
+            rows.push([
+                result.scenario,
+                mode,
+                run.plan.stage,
+                run.plan.indexName || '-',
+                run.latency.p50,
+                run.latency.p95,
+                run.plan.keysExamined,
+                run.plan.docsExamined,
+                run.plan.nReturned,
+                mode === 'indexed' ? `${result.speedup}x` : ''
+            ].map((cell) => (cell === null || cell === undefined ? '-' : String(cell))));
+        });
+    });
+
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ').trimEnd();
+    return [
+        `Benchmark of ${report.collection} (${report.iterations} iterations)`,
+        line(header),
+        widths.map((width) => '-'.repeat(width)).join('-+-'),
+        ...rows.map(line)
+    ].join('\n') + '\n';
+};
+
+module.exports = { SCENARIOS, parseBenchmarkOptions, runBenchmark, formatTable };
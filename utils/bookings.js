@@ -0,0 +1,105 @@
+const createError = require('http-errors');
+
+// Hotels don't record room sizes yet, so every room is taken to sleep two
+const GUESTS_PER_ROOM = 2;
+
+// How long rooms stay held while a guest checks out
+const HOLD_TTL_MS = 15 * 60 * 1000;
+
+// Longest stay accepted; also bounds the per-night sweep in peakRoomsBooked
+const MAX_NIGHTS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// YYYY-MM-DD as UTC midnight; bookings are per night, so times of day don't matter
+const parseDay = (value, name) => {
+    const day = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+        throw createError(400, `${name} must be a date formatted YYYY-MM-DD`);
+    }
+    return day;
+};
+
+// checkIn/checkOut of a stay of 1 to MAX_NIGHTS nights
+const parseStay = ({ checkIn, checkOut }) => {
+    const stay = { checkIn: parseDay(checkIn, 'checkIn'), checkOut: parseDay(checkOut, 'checkOut') };
+    const nights = (stay.checkOut - stay.checkIn) / DAY_MS;
+    if (nights < 1) {
+        throw createError(400, 'checkOut must be after checkIn');
+    }
+    if (nights > MAX_NIGHTS) {
+        throw createError(400, `Stays are limited to ${MAX_NIGHTS} nights`);
+    }
+    return stay;
+};
+
+const parseCount = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        if (fallback === undefined) {
+            throw createError(400, `${name} is required`);
+        }
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createError(400, `${name} must be a positive integer`);
+    }
+    return number;
+};
+
+const roomsFor = (guests) => Math.ceil(guests / GUESTS_PER_ROOM);
+
+// ?location=&checkIn=&checkOut=&guests= for /available
+const parseAvailabilityQuery = (query) => {
+    if (typeof query.location !== 'string' || query.location.trim() === '') {
+        throw createError(400, 'location is required');
+    }
+    const guests = parseCount(query.guests, 'guests', 1);
+    return { location: query.location, ...parseStay(query), guests, rooms: roomsFor(guests) };
+};
+
+// The hold to claim, if any; only an ID string, so an operator object can't match someone else's hold
+const parseHoldId = (holdId) => {
+    if (holdId === undefined || holdId === null) {
+        return undefined;
+    }
+    if (typeof holdId !== 'string' || !OBJECT_ID_PATTERN.test(holdId)) {
+        throw createError(400, 'holdId must be a hold ID');
+    }
+    return holdId;
+};
+
+// Booking or hold body: the stay, guests and optionally more rooms than the guests need.
+// A booking may claim a hold with `holdId`.
+const parseBookingRequest = (body) => {
+    const guests = parseCount(body.guests, 'guests');
+    const rooms = parseCount(body.rooms, 'rooms', roomsFor(guests));
+    if (rooms < roomsFor(guests)) {
+        throw createError(400, `${guests} guests need at least ${roomsFor(guests)} rooms`);
+    }
+    return { ...parseStay(body), guests, rooms, guestName: body.guestName, holdId: parseHoldId(body.holdId) };
+};
+
+// Bookings sharing at least one night with the stay; checkOut is the morning after the last night
+const overlapFilter = ({ checkIn, checkOut }) => ({ checkOut: { $gt: checkIn }, checkIn: { $lt: checkOut } });
+
+// Most rooms taken on any one night of the stay by the given bookings
+const peakRoomsBooked = (bookings, { checkIn, checkOut }) => {
+    let peak = 0;
+    for (let night = checkIn.getTime(); night < checkOut.getTime(); night += DAY_MS) {
+        const booked = bookings
+            .filter((booking) => booking.checkIn.getTime() <= night && night < booking.checkOut.getTime())
+            .reduce((sum, booking) => sum + booking.rooms, 0);
+        peak = Math.max(peak, booked);
+    }
+    return peak;
+};
+
+// Whether a hold covers exactly the stay and rooms being booked
+const holdMatches = (hold, { checkIn, checkOut, rooms }) => hold.checkIn.getTime() === checkIn.getTime()
+    && hold.checkOut.getTime() === checkOut.getTime()
+    && hold.rooms === rooms;
+
+module.exports = { GUESTS_PER_ROOM, HOLD_TTL_MS, MAX_NIGHTS, holdMatches, parseStay, parseAvailabilityQuery, parseBookingRequest, overlapFilter, peakRoomsBooked };
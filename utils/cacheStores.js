@@ -0,0 +1,245 @@
+// Response cache stores. Both share one async interface so they can be swapped:
+// get(key), set(key, value, { ttlMs, tags }), invalidateTags(tags), clear() and size().
+// Tags name what an entry depends on (e.g. 'location:Paris') so writes can drop just the affected entries.
+
+// In-process LRU; Map keeps insertion order, so re-inserting on read moves an entry to the young end
+const createLruStore = ({ maxEntries = 1000 } = {}) => {
+    const entries = new Map();
+    const tagged = new Map();
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        entries.delete(key);
+        entry.tags.forEach((tag) => {
+            const keys = tagged.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) {
+                tagged.delete(tag);
+            }
+        });
+        return true;
+    };
+
+    return {
+        name: 'lru',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                remove(key);
+                return undefined;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, { ttlMs, tags = [] }) {
+            remove(key);
+            entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+            tags.forEach((tag) => {
+                if (!tagged.has(tag)) {
+                    tagged.set(tag, new Set());
+                }
+                tagged.get(tag).add(key);
+            });
+            while (entries.size > maxEntries) {
+                remove(entries.keys().next().value);
+            }
+        },
+
+        async invalidateTags(tags) {
+            let removed = 0;
+            tags.forEach((tag) => {
+                [...(tagged.get(tag) || [])].forEach((key) => {
+                    removed += remove(key) ? 1 : 0;
+                });
+            });
+            return removed;
+        },
+
+        async clear() {
+            entries.clear();
+            tagged.clear();
+        },
+
+        async size() {
+            return entries.size;
+        }
+    };
+};
+
+// Keys asked for per SCAN call, and deleted per DEL when clearing
+const SCAN_COUNT = 500;
+
+// node-redis client for createRedisStore. With the offline queue off, commands fail at once while the server
+// is unreachable instead of waiting for it to come back, so the response cache falls through to MongoDB.
+const createRedisClient = (url) => require('redis').createClient({ url, disableOfflineQueue: true });
+
+// Redis-backed store for caches shared between processes. `client` needs the node-redis v4 subset
+// get, set (with PX), del, sAdd, sMembers, pTTL, pExpire and scanIterator; createLocalRedisClient() provides it in memory.
+const createRedisStore = (client, { prefix = 'hotel-cache:' } = {}) => {
+    const entryKey = (key) => `${prefix}entry:${key}`;
+    const tagKey = (tag) => `${prefix}tag:${tag}`;
+
+    // Walk the keys matching `pattern` in batches with SCAN; KEYS would block Redis for the whole keyspace
+    const scanBatches = async function* (pattern) {
+        let batch = [];
+        for await (const key of client.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) {
+            batch.push(key);
+            if (batch.length >= SCAN_COUNT) {
+                yield batch;
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            yield batch;
+        }
+    };
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const value = await client.get(entryKey(key));
+            return value === null ? undefined : JSON.parse(value);
+        },
+
+        async set(key, value, { ttlMs, tags = [] }) {
+            await client.set(entryKey(key), JSON.stringify(value), { PX: ttlMs });
+            // A tag set lives at least as long as the longest-lived entry it lists, then goes away on its own
+            await Promise.all(tags.map(async (tag) => {
+                await client.sAdd(tagKey(tag), entryKey(key));
+                if (await client.pTTL(tagKey(tag)) < ttlMs) {
+                    await client.pExpire(tagKey(tag), ttlMs);
+                }
+            }));
+        },
+
+        // Tag sets may still list expired entries; deleting those is a no-op
+        async invalidateTags(tags) {
+            let removed = 0;
+            for (const tag of tags) {
+                const keys = await client.sMembers(tagKey(tag));
+                if (keys.length > 0) {
+                    removed += await client.del(keys);
+                }
+                await client.del([tagKey(tag)]);
+            }
+            return removed;
+        },
+
+        async clear() {
+            for await (const keys of scanBatches(`${prefix}*`)) {
+                await client.del(keys);
+            }
+        },
+
+        // SCAN may return a key more than once
+        async size() {
+            const keys = new Set();
+            for await (const batch of scanBatches(`${prefix}entry:*`)) {
+                batch.forEach((key) => keys.add(key));
+            }
+            return keys.size;
+        }
+    };
+};
+
+// In-memory stand-in for the Redis commands createRedisStore uses, for local runs and tests
+const createLocalRedisClient = () => {
+    const strings = new Map();
+    const sets = new Map();
+    const setExpiry = new Map();
+
+    const live = (key) => {
+        const entry = strings.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            strings.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const liveSet = (key) => {
+        if (setExpiry.has(key) && setExpiry.get(key) <= Date.now()) {
+            sets.delete(key);
+            setExpiry.delete(key);
+        }
+        return sets.get(key);
+    };
+
+    return {
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, { PX } = {}) {
+            strings.set(key, { value: String(value), expiresAt: PX ? Date.now() + PX : null });
+            return 'OK';
+        },
+
+        async del(keys) {
+            return [].concat(keys).reduce((count, key) => {
+                const existed = live(key) !== undefined || liveSet(key) !== undefined;
+                strings.delete(key);
+                sets.delete(key);
+                setExpiry.delete(key);
+                return count + (existed ? 1 : 0);
+            }, 0);
+        },
+
+        async sAdd(key, member) {
+            if (!liveSet(key)) {
+                sets.set(key, new Set());
+            }
+            const size = sets.get(key).size;
+            sets.get(key).add(member);
+            return sets.get(key).size - size;
+        },
+
+        async sMembers(key) {
+            return [...(liveSet(key) || [])];
+        },
+
+        // Like Redis: -2 for a missing key, -1 for one without an expiry (only sets carry one here)
+        async pTTL(key) {
+            if (live(key)) {
+                const { expiresAt } = strings.get(key);
+                return expiresAt === null ? -1 : expiresAt - Date.now();
+            }
+            if (!liveSet(key)) {
+                return -2;
+            }
+            return setExpiry.has(key) ? setExpiry.get(key) - Date.now() : -1;
+        },
+
+        async pExpire(key, ms) {
+            if (live(key)) {
+                strings.get(key).expiresAt = Date.now() + ms;
+                return true;
+            }
+            if (!liveSet(key)) {
+                return false;
+            }
+            setExpiry.set(key, Date.now() + ms);
+            return true;
+        },
+
+        // Only trailing-* patterns, which is all the store needs; yields keys one at a time like node-redis v4
+        async* scanIterator({ MATCH }) {
+            const prefix = MATCH.replace(/\*$/, '');
+            const keys = [...strings.keys(), ...sets.keys()].filter((key) => key.startsWith(prefix) && (liveSet(key) || live(key)));
+            yield* keys;
+        }
+    };
+};
+
+module.exports = { createLruStore, createRedisClient, createRedisStore, createLocalRedisClient };
@@ -0,0 +1,74 @@
+const createError = require('http-errors');
+
+// Verbosity modes accepted by MongoDB's explain command
+const EXPLAIN_VERBOSITIES = ['queryPlanner', 'executionStats', 'allPlansExecution'];
+
+// Read the `explain` query option; returns null when no plan was requested
+const parseExplainVerbosity = (value) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    if (!EXPLAIN_VERBOSITIES.includes(value)) {
+        throw createError(400, `explain must be one of: ${EXPLAIN_VERBOSITIES.join(', ')}`);
+    }
+    return value;
+};
+
+// Collect every stage of a plan tree, depth first
+const collectStages = (plan, stages = []) => {
+    if (!plan) {
+        return stages;
+    }
+    stages.push(plan);
+    if (plan.inputStage) {
+        collectStages(plan.inputStage, stages);
+    }
+    (plan.inputStages || []).forEach((child) => collectStages(child, stages));
+    return stages;
+};
+
+// Reduce the stages of a winning plan to the access path that matters: TEXT, IXSCAN or COLLSCAN
+const accessStage = (stages) => {
+    const names = stages.map((stage) => stage.stage);
+    if (names.some((name) => name === 'TEXT' || name === 'TEXT_MATCH' || name === 'TEXT_OR')) {
+        return 'TEXT';
+    }
+    if (names.includes('IXSCAN')) {
+        return 'IXSCAN';
+    }
+    if (names.includes('COLLSCAN')) {
+        return 'COLLSCAN';
+    }
+    return names[0] || null;
+};
+
+// Find the document holding queryPlanner; aggregate explains nest it under the first $cursor stage
+const unwrapExplain = (raw) => {
+    const explain = Array.isArray(raw) ? raw[0] : raw;
+    if (explain && !explain.queryPlanner && Array.isArray(explain.stages) && explain.stages[0] && explain.stages[0].$cursor) {
+        return explain.stages[0].$cursor;
+    }
+    return explain;
+};
+
+// Normalize a raw explain document into the fields we compare across index tests
+const summarizeExplain = (raw) => {
+    const explain = unwrapExplain(raw);
+    const queryPlanner = (explain && explain.queryPlanner) || {};
+    const winningPlan = queryPlanner.winningPlan || {};
+    // Slot-based execution (MongoDB 7+) nests the classic plan under `queryPlan`
+    const stages = collectStages(winningPlan.queryPlan || winningPlan);
+    const indexScan = stages.find((stage) => stage.stage === 'IXSCAN');
+    const executionStats = explain && explain.executionStats;
+
+    return {
+        stage: accessStage(stages),
+        indexName: indexScan ? indexScan.indexName : null,
+        keysExamined: executionStats ? executionStats.totalKeysExamined : null,
+        docsExamined: executionStats ? executionStats.totalDocsExamined : null,
+        nReturned: executionStats ? executionStats.nReturned : null,
+        executionTimeMillis: executionStats ? executionStats.executionTimeMillis : null
+    };
+};
+
+module.exports = { EXPLAIN_VERBOSITIES, parseExplainVerbosity, summarizeExplain };
@@ -0,0 +1,90 @@
+const createError = require('http-errors');
+
+const DEFAULT_PRICE_BUCKETS = [0, 50, 100, 200, 500, 1000];
+const DEFAULT_ROOM_BUCKETS = [1, 10, 50, 100, 500];
+const DEFAULT_TOP_LOCATIONS = 10;
+const MAX_TOP_LOCATIONS = 50;
+const MAX_BOUNDARIES = 20;
+
+// Parse "0,100,250" into ascending bucket boundaries
+const parseBoundaries = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const boundaries = String(value).split(',').map(Number);
+    if (boundaries.length > MAX_BOUNDARIES || !boundaries.every(Number.isFinite)) {
+        throw createError(400, `${name} must be 1 to ${MAX_BOUNDARIES} comma-separated numbers`);
+    }
+    if (boundaries.some((boundary, i) => i > 0 && boundary <= boundaries[i - 1])) {
+        throw createError(400, `${name} must be in ascending order`);
+    }
+    return boundaries;
+};
+
+// Validate ?priceBuckets=&roomBuckets=&locations= for /facets
+const parseFacetOptions = (query) => {
+    let locations = DEFAULT_TOP_LOCATIONS;
+    if (query.locations !== undefined && query.locations !== '') {
+        locations = Number(query.locations);
+        if (!Number.isInteger(locations) || locations < 1 || locations > MAX_TOP_LOCATIONS) {
+            throw createError(400, `locations must be an integer between 1 and ${MAX_TOP_LOCATIONS}`);
+        }
+    }
+    return {
+        locations,
+        priceBuckets: parseBoundaries(query.priceBuckets, 'priceBuckets', DEFAULT_PRICE_BUCKETS),
+        roomBuckets: parseBoundaries(query.roomBuckets, 'roomBuckets', DEFAULT_ROOM_BUCKETS)
+    };
+};
+
+// The last bucket is open ended; values below the first boundary land in 'below'
+const bucketStage = (field, boundaries) => [{
+    $bucket: {
+        groupBy: `$${field}`,
+        boundaries: [...boundaries, Infinity],
+        default: 'below',
+        output: { count: { $sum: 1 } }
+    }
+}];
+
+// One $facet stage computing every sidebar count over the same matched documents. Price buckets and
+// stats use effectivePrice, which an earlier stage sets from running promotions as search prices hotels.
+const facetStage = ({ locations, priceBuckets, roomBuckets }) => ({
+    $facet: {
+        locations: [{ $sortByCount: '$location' }, { $limit: locations }],
+        price: bucketStage('effectivePrice', priceBuckets),
+        rooms: bucketStage('rooms', roomBuckets),
+        priceStats: [{
+            $group: { _id: null, min: { $min: '$effectivePrice' }, max: { $max: '$effectivePrice' }, avg: { $avg: '$effectivePrice' }, count: { $sum: 1 } }
+        }]
+    }
+});
+
+// $bucket leaves out empty buckets; list every range so the sidebar layout doesn't shift
+const formatBuckets = (results, boundaries) => {
+    const counts = new Map(results.map(({ _id, count }) => [_id, count]));
+    const buckets = boundaries.map((min, i) => ({
+        min,
+        max: i + 1 < boundaries.length ? boundaries[i + 1] : null,
+        count: counts.get(min) || 0
+    }));
+    if (counts.has('below')) {
+        buckets.unshift({ min: null, max: boundaries[0], count: counts.get('below') });
+    }
+    return buckets;
+};
+
+// Shape the single $facet result document for the response
+const formatFacets = (result, { priceBuckets, roomBuckets }) => {
+    const [stats] = result.priceStats;
+    return {
+        locations: result.locations.map(({ _id, count }) => ({ location: _id, count })),
+        price: formatBuckets(result.price, priceBuckets),
+        rooms: formatBuckets(result.rooms, roomBuckets),
+        priceStats: stats
+            ? { min: stats.min, max: stats.max, avg: Math.round(stats.avg * 100) / 100, count: stats.count }
+            : { min: null, max: null, avg: null, count: 0 }
+    };
+};
+
+module.exports = { DEFAULT_PRICE_BUCKETS, DEFAULT_ROOM_BUCKETS, parseFacetOptions, facetStage, formatFacets };
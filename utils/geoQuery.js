@@ -0,0 +1,93 @@
+const createError = require('http-errors');
+
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_MAX_DISTANCE = 5000;
+const DEFAULT_GEO_LIMIT = 20;
+const MAX_GEO_LIMIT = 100;
+
+const toCoordinate = (value, name, bound) => {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number) || Math.abs(number) > bound) {
+        throw createError(400, `${name} must be a number between -${bound} and ${bound}`);
+    }
+    return number;
+};
+
+// GeoJSON [lng, lat] pair from ?lng=&lat=
+const parsePoint = (query) => [toCoordinate(query.lng, 'lng', 180), toCoordinate(query.lat, 'lat', 90)];
+
+// Radius in meters from ?maxDistance=
+const parseMaxDistance = (value) => {
+    if (value === undefined || value === '') {
+        return DEFAULT_MAX_DISTANCE;
+    }
+    const meters = Number(value);
+    if (!Number.isFinite(meters) || meters <= 0) {
+        throw createError(400, 'maxDistance must be a positive number of meters');
+    }
+    return meters;
+};
+
+const parseGeoLimit = (value) => {
+    if (value === undefined || value === '') {
+        return DEFAULT_GEO_LIMIT;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GEO_LIMIT) {
+        throw createError(400, `limit must be an integer between 1 and ${MAX_GEO_LIMIT}`);
+    }
+    return limit;
+};
+
+// ?box= and ?polygon= must be given once; repeated or bracketed parameters arrive as arrays and objects
+const toText = (value, name) => {
+    if (typeof value !== 'string') {
+        throw createError(400, `${name} must be given once, as text`);
+    }
+    return value;
+};
+
+const parsePair = (text, name) => {
+    const [lng, lat] = text.split(',');
+    return [toCoordinate(lng, `${name} longitude`, 180), toCoordinate(lat, `${name} latitude`, 90)];
+};
+
+// GeoJSON Polygon from ?box=minLng,minLat,maxLng,maxLat or ?polygon=lng,lat;lng,lat;lng,lat
+const parseWithinShape = (query) => {
+    let ring;
+    if (query.box) {
+        const parts = toText(query.box, 'box').split(',');
+        if (parts.length !== 4) {
+            throw createError(400, 'box must be minLng,minLat,maxLng,maxLat');
+        }
+        const [minLng, minLat] = parsePair(`${parts[0]},${parts[1]}`, 'box');
+        const [maxLng, maxLat] = parsePair(`${parts[2]},${parts[3]}`, 'box');
+        if (minLng >= maxLng || minLat >= maxLat) {
+            throw createError(400, 'box minimum corner must be south-west of the maximum corner');
+        }
+        ring = [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat]];
+    } else if (query.polygon) {
+        ring = toText(query.polygon, 'polygon').split(';').map((pair) => parsePair(pair, 'polygon'));
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (first[0] === last[0] && first[1] === last[1]) {
+            ring.pop();
+        }
+        if (ring.length < 3) {
+            throw createError(400, 'polygon needs at least three distinct points');
+        }
+    } else {
+        throw createError(400, 'Provide either box or polygon');
+    }
+
+    // Distances are measured from ?lng=&lat= when given, otherwise from the centre of the shape
+    const center = query.lng !== undefined || query.lat !== undefined
+        ? parsePoint(query)
+        : [ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length, ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length];
+
+    return { geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] }, center };
+};
+
+// $geoWithin a circle; unlike $near this also runs without a geo index, which the /test-geo comparison needs
+const withinRadius = (point, meters) => ({ $geoWithin: { $centerSphere: [point, meters / EARTH_RADIUS_METERS] } });
+
+module.exports = { EARTH_RADIUS_METERS, parsePoint, parseMaxDistance, parseGeoLimit, parseWithinShape, withinRadius };
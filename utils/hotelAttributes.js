@@ -0,0 +1,100 @@
+const createError = require('http-errors');
+const { parseLocation } = require('./searchQuery');
+
+// Name of the partial index each attribute query is meant for, as declared in models/hotel.js
+const FEATURED_INDEX = 'featured_location_price';
+const UPSCALE_INDEX = 'upscale_price';
+const WILDCARD_INDEX = 'attributes.$**_1';
+
+// Partner attribute paths /by-attribute may filter on, with the type their values are stored as
+const ATTRIBUTE_PATHS = {
+    petFriendly: 'boolean',
+    breakfastIncluded: 'boolean',
+    'parking.type': 'string',
+    'parking.spaces': 'number',
+    'accessibility.wheelchair': 'boolean',
+    checkInFrom: 'string'
+};
+
+const optionalNumber = (value, name) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw createError(400, `${name} must be a number`);
+    }
+    return number;
+};
+
+// ?location=&maxPrice= for featured hotels; `featured: true` is what lets the planner use the partial index
+const parseFeaturedQuery = (query) => {
+    const filter = { featured: true };
+    const location = parseLocation(query);
+    if (location !== undefined) {
+        filter.location = location;
+    }
+    const maxPrice = optionalNumber(query.maxPrice, 'maxPrice');
+    if (maxPrice !== undefined) {
+        filter.price = { $lte: maxPrice };
+    }
+    return filter;
+};
+
+// ?minStars=&maxPrice=&amenities=wifi,pool for rated hotels. Only minStars >= 4 implies the upscale_price
+// filter; below that the sparse stars index is the only one left for the star rating.
+const parseStarsQuery = (query) => {
+    const minStars = optionalNumber(query.minStars, 'minStars');
+    if (minStars === undefined || !Number.isInteger(minStars) || minStars < 1 || minStars > 5) {
+        throw createError(400, 'minStars must be an integer between 1 and 5');
+    }
+    const filter = { stars: { $gte: minStars } };
+    const maxPrice = optionalNumber(query.maxPrice, 'maxPrice');
+    if (maxPrice !== undefined) {
+        filter.price = { $lte: maxPrice };
+    }
+    if (query.amenities) {
+        filter.amenities = { $all: String(query.amenities).split(',').map((amenity) => amenity.trim().toLowerCase()) };
+    }
+    return filter;
+};
+
+// Turn a query string value into the type the attribute is stored as, so the filter matches it exactly
+const attributeValue = (path, type, raw) => {
+    if (type === 'boolean') {
+        if (raw !== 'true' && raw !== 'false') {
+            throw createError(400, `value for ${path} must be true or false`);
+        }
+        return raw === 'true';
+    }
+    if (type === 'number') {
+        const number = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(number)) {
+            throw createError(400, `value for ${path} must be a number`);
+        }
+        return number;
+    }
+    return raw;
+};
+
+// ?path=parking.type&value=garage, with path from the allow-list; returns the attributes.<path> filter
+const parseAttributeQuery = (query) => {
+    const { path, value } = query;
+    if (typeof path !== 'string' || !Object.prototype.hasOwnProperty.call(ATTRIBUTE_PATHS, path)) {
+        throw createError(400, `path must be one of: ${Object.keys(ATTRIBUTE_PATHS).join(', ')}`);
+    }
+    if (typeof value !== 'string' || value === '') {
+        throw createError(400, 'value is required');
+    }
+    const field = `attributes.${path}`;
+    return { field, filter: { [field]: attributeValue(path, ATTRIBUTE_PATHS[path], value) } };
+};
+
+// Explain addendum stating whether the winning plan used the partial index the route is built for
+const partialIndexReport = (name, partialFilterExpression, summary) => ({
+    name,
+    partialFilterExpression,
+    used: summary.indexName === name
+});
+
+module.exports = { FEATURED_INDEX, UPSCALE_INDEX, WILDCARD_INDEX, ATTRIBUTE_PATHS, parseFeaturedQuery, parseStarsQuery, parseAttributeQuery, partialIndexReport };
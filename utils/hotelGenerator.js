@@ -0,0 +1,126 @@
+const createError = require('http-errors');
+
+const MAX_SEED_COUNT = 1000000;
+const DEFAULT_BATCH_SIZE = 1000;
+
+const LOCATIONS = [
+    'California', 'New York', 'Florida', 'Texas', 'Nevada', 'Hawaii', 'Switzerland', 'Paris', 'London', 'Rome',
+    'Barcelona', 'Lisbon', 'Amsterdam', 'Berlin', 'Vienna', 'Prague', 'Tokyo', 'Kyoto', 'Seoul', 'Bangkok',
+    'Bali', 'Singapore', 'Sydney', 'Auckland', 'Dubai', 'Istanbul', 'Cairo', 'Cape Town', 'Marrakech', 'Reykjavik',
+    'Oslo', 'Stockholm', 'Copenhagen', 'Dublin', 'Edinburgh', 'Montreal', 'Vancouver', 'Mexico City', 'Cancun', 'Havana',
+    'Buenos Aires', 'Rio de Janeiro', 'Lima', 'Cusco', 'Santiago', 'Goa', 'Mumbai', 'Maldives', 'Zanzibar', 'Santorini'
+];
+
+const NAME_PREFIXES = ['Sunset', 'Ocean', 'Mountain', 'Grand', 'Royal', 'Golden', 'Silver', 'Harbor', 'Garden', 'City'];
+const NAME_SUFFIXES = ['Resort', 'Inn', 'Lodge', 'Suites', 'Hotel', 'Retreat', 'Palace', 'Hostel', 'Villas', 'Plaza'];
+
+const LOREM = ('lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore '
+    + 'magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo consequat').split(' ');
+
+// mulberry32: small, fast and deterministic for a given 32-bit seed
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normal sample (Box-Muller)
+const normal = (random) => {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Zipf weights so a few locations hold most hotels, like real inventories
+const zipfCumulative = (size, exponent) => {
+    const weights = Array.from({ length: size }, (_, i) => 1 / Math.pow(i + 1, exponent));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let running = 0;
+    return weights.map((weight) => (running += weight / total));
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+// Build a deterministic hotel factory; the same seed and options always produce the same documents
+const createHotelGenerator = ({
+    seed = 1,
+    locations = LOCATIONS,
+    locationSkew = 1.1,
+    medianPrice = 150,
+    priceSpread = 0.6,
+    medianRooms = 60,
+    keywords = ['beachfront'],
+    keywordFrequency = 0.05
+} = {}) => {
+    if (!Number.isInteger(seed)) {
+        throw createError(400, 'seed must be an integer');
+    }
+    if (!Array.isArray(keywords) || !keywords.every((keyword) => typeof keyword === 'string')) {
+        throw createError(400, 'keywords must be an array of strings');
+    }
+    if (typeof keywordFrequency !== 'number' || keywordFrequency < 0 || keywordFrequency > 1) {
+        throw createError(400, 'keywordFrequency must be between 0 and 1');
+    }
+
+    const random = createRandom(seed);
+    const cumulative = zipfCumulative(locations.length, locationSkew);
+    let index = 0;
+
+    const location = () => {
+        const r = random();
+        const i = cumulative.findIndex((bound) => r <= bound);
+        return locations[i === -1 ? locations.length - 1 : i];
+    };
+
+    const description = () => {
+        const words = Array.from({ length: 12 + Math.floor(random() * 28) }, () => pick(random, LOREM));
+        keywords.forEach((keyword) => {
+            if (random() < keywordFrequency) {
+                words.splice(Math.floor(random() * words.length), 0, keyword);
+            }
+        });
+        const text = words.join(' ');
+        return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    };
+
+    return () => {
+        index++;
+        return {
+            name: `${pick(random, NAME_PREFIXES)} ${pick(random, NAME_SUFFIXES)} ${index}`,
+            location: location(),
+            // Log-normal prices and room counts: most are near the median, with a long expensive/large tail
+            price: Math.max(1, Math.round(medianPrice * Math.exp(priceSpread * normal(random)))),
+            rooms: Math.min(2000, Math.max(1, Math.round(medianRooms * Math.exp(0.8 * normal(random))))),
+            description: description()
+        };
+    };
+};
+
+// Insert `count` generated hotels through Model.insertMany in batches; `drop` empties the collection first
+const seedHotels = async (Model, { count, batchSize = DEFAULT_BATCH_SIZE, drop = false, ...options }) => {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SEED_COUNT) {
+        throw createError(400, `count must be an integer between 1 and ${MAX_SEED_COUNT}`);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw createError(400, 'batchSize must be a positive integer');
+    }
+
+    const next = createHotelGenerator(options);
+    if (drop) {
+        await Model.deleteMany({});
+    }
+    let inserted = 0;
+    while (inserted < count) {
+        const batch = Array.from({ length: Math.min(batchSize, count - inserted) }, next);
+        await Model.insertMany(batch);
+        inserted += batch.length;
+    }
+    return inserted;
+};
+
+module.exports = { MAX_SEED_COUNT, LOCATIONS, createRandom, createHotelGenerator, seedHotels };
@@ -0,0 +1,208 @@
+const createError = require('http-errors');
+
+// Import formats and the content types that select them
+const IMPORT_FORMATS = {
+    csv: ['text/csv', 'application/csv'],
+    json: ['application/json'],
+    ndjson: ['application/x-ndjson', 'application/ndjson']
+};
+
+// Pick the import format from ?format= or the request Content-Type
+const importFormatFor = (req) => {
+    if (req.query.format) {
+        if (!IMPORT_FORMATS[req.query.format]) {
+            throw createError(400, `format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+        }
+        return req.query.format;
+    }
+    const format = Object.keys(IMPORT_FORMATS).find((name) => req.is(IMPORT_FORMATS[name]));
+    if (!format) {
+        throw createError(415, 'Send the body as text/csv, application/json or application/x-ndjson');
+    }
+    return format;
+};
+
+const invalidRow = (row, message) => ({ row, error: { path: null, message, value: null } });
+
+// NDJSON: one JSON object per line
+async function* parseNdjson(stream) {
+    let buffer = '';
+    let line = 0;
+    const parseLine = (text) => {
+        line++;
+        if (text.trim() === '') {
+            return null;
+        }
+        try {
+            return { row: line, value: JSON.parse(text) };
+        } catch (err) {
+            return invalidRow(line, `Invalid JSON: ${err.message}`);
+        }
+    };
+
+    for await (const chunk of stream) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const text of lines) {
+            const record = parseLine(text);
+            if (record) {
+                yield record;
+            }
+        }
+    }
+    const record = parseLine(buffer);
+    if (record) {
+        yield record;
+    }
+}
+
+// JSON array: split top-level elements while streaming, tracking nesting and strings
+async function* parseJsonArray(stream) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let started = false;
+    let element = '';
+    let row = 0;
+
+    const flush = () => {
+        const text = element.trim();
+        element = '';
+        if (text === '') {
+            return null;
+        }
+        row++;
+        try {
+            return { row, value: JSON.parse(text) };
+        } catch (err) {
+            return invalidRow(row, `Invalid JSON: ${err.message}`);
+        }
+    };
+
+    for await (const chunk of stream) {
+        for (const char of String(chunk)) {
+            if (!started) {
+                if (char === '[') {
+                    started = true;
+                    depth = 1;
+                } else if (!/\s/.test(char)) {
+                    throw createError(400, 'JSON import body must be an array');
+                }
+                continue;
+            }
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+            }
+
+            if (depth === 0 || (depth === 1 && !inString && char === ',')) {
+                const record = flush();
+                if (record) {
+                    yield record;
+                }
+                if (depth === 0) {
+                    return;
+                }
+                continue;
+            }
+            element += char;
+        }
+    }
+    throw createError(400, 'JSON import body ended before the closing ]');
+}
+
+// CSV (RFC 4180): header row, quoted fields may contain commas, quotes ("") and newlines
+async function* parseCsv(stream) {
+    let header = null;
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let pendingQuote = false;
+    let row = 0;
+
+    const endRecord = () => {
+        fields.push(field);
+        field = '';
+        const values = fields;
+        fields = [];
+        if (values.length === 1 && values[0] === '') {
+            return null;
+        }
+        if (!header) {
+            header = values.map((name) => name.trim());
+            return null;
+        }
+        row++;
+        if (values.length !== header.length) {
+            return invalidRow(row, `Expected ${header.length} columns but found ${values.length}`);
+        }
+        const value = {};
+        header.forEach((name, i) => {
+            // Empty cells mean "not provided" so optional fields keep their defaults
+            if (values[i] !== '') {
+                value[name] = values[i];
+            }
+        });
+        return { row, value };
+    };
+
+    for await (const chunk of stream) {
+        for (const char of String(chunk)) {
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                quoted = false;
+            }
+            if (quoted) {
+                if (char === '"') {
+                    pendingQuote = true;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n') {
+                const record = endRecord();
+                if (record) {
+                    yield record;
+                }
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+    if (field !== '' || fields.length > 0) {
+        const record = endRecord();
+        if (record) {
+            yield record;
+        }
+    }
+}
+
+const PARSERS = { csv: parseCsv, json: parseJsonArray, ndjson: parseNdjson };
+
+// Stream { row, value } records (or { row, error } for unparseable rows) out of a request body
+const parseImportStream = (format, stream) => {
+    stream.setEncoding('utf8');
+    return PARSERS[format](stream);
+};
+
+module.exports = { IMPORT_FORMATS, importFormatFor, parseImportStream };
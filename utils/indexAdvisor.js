@@ -0,0 +1,191 @@
+// Operators that match a single value and can lead an index (the "E" in ESR)
+const EQUALITY_OPERATORS = ['$eq', '$in'];
+
+// Operators that scan a range of keys and belong after sort fields (the "R" in ESR)
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte', '$ne', '$nin', '$regex', '$exists'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Split a query shape into equality, sort and range fields; null when no B-tree index can help
+const classifyShape = ({ filter = {}, sort = {} }) => {
+    if (filter.$text || filter.$or || filter.$nor || filter.$where || filter.$expr) {
+        return null;
+    }
+
+    const equality = [];
+    const range = [];
+    const addFilter = (conditions) => {
+        Object.entries(conditions).forEach(([field, condition]) => {
+            if (field === '$and') {
+                condition.forEach(addFilter);
+                return;
+            }
+            if (!isPlainObject(condition) || Object.keys(condition).some((op) => !op.startsWith('$'))) {
+                equality.push(field);
+                return;
+            }
+            const operators = Object.keys(condition);
+            if (operators.some((op) => RANGE_OPERATORS.includes(op))) {
+                range.push(field);
+            } else if (operators.some((op) => EQUALITY_OPERATORS.includes(op))) {
+                equality.push(field);
+            }
+        });
+    };
+    addFilter(filter);
+
+    const sortFields = Object.entries(sort)
+        .filter(([, direction]) => direction === 1 || direction === -1)
+        .map(([field, direction]) => ({ field, direction }));
+
+    return {
+        equality: [...new Set(equality)],
+        sort: sortFields.filter(({ field }) => !equality.includes(field)),
+        range: [...new Set(range)].filter((field) => !equality.includes(field) && !sortFields.some((s) => s.field === field))
+    };
+};
+
+// Build the ESR-ordered index key for a classified shape
+const recommendIndexKey = ({ equality, sort, range }) => {
+    const key = {};
+    [...equality].sort().forEach((field) => { key[field] = 1; });
+    sort.forEach(({ field, direction }) => { key[field] = direction; });
+    range.forEach((field) => { key[field] = 1; });
+    return key;
+};
+
+// Whether an existing index key serves a classified shape as well as the recommended key would
+const servesShape = (indexKey, classified) => {
+    const fields = Object.keys(indexKey);
+    if (Object.values(indexKey).some((type) => type !== 1 && type !== -1)) {
+        return false;
+    }
+    const { equality, sort, range } = classified;
+    const leading = fields.slice(0, equality.length);
+    if (leading.length !== equality.length || !equality.every((field) => leading.includes(field))) {
+        return false;
+    }
+
+    // Sort fields must follow in order, all in the same or all in the reversed direction
+    const sortPart = fields.slice(equality.length, equality.length + sort.length);
+    const flip = sort.length > 0 && indexKey[sort[0].field] === -sort[0].direction ? -1 : 1;
+    const sortMatches = sort.every(({ field, direction }, i) => sortPart[i] === field && indexKey[field] === direction * flip);
+    if (!sortMatches) {
+        return false;
+    }
+
+    const rangePart = fields.slice(equality.length + sort.length, equality.length + sort.length + range.length);
+    return rangePart.length === range.length && range.every((field) => rangePart.includes(field));
+};
+
+// True when `key` is a strict prefix of `other` with matching directions
+const isPrefixOf = (key, other) => {
+    const fields = Object.keys(key);
+    const otherFields = Object.keys(other);
+    return fields.length < otherFields.length
+        && fields.every((field, i) => otherFields[i] === field && other[field] === key[field]);
+};
+
+// Wildcard keys (`attributes.$**`) index whatever paths exist under them, one entry per path
+const isWildcardIndex = (index) => Object.keys(index.key).some((field) => field === '$**' || field.endsWith('.$**'));
+
+// Partial, sparse and wildcard indexes leave documents out, so they only serve queries that exclude those documents too
+const coversAllDocuments = (index) => !index.partialFilterExpression && !index.sparse && !isWildcardIndex(index);
+
+// Plain ascending/descending indexes without options that would make them non-interchangeable
+const isPlainIndex = (index) =>
+    index.name !== '_id_' && !isWildcardIndex(index)
+    && !index.unique && !index.sparse && !index.partialFilterExpression && index.expireAfterSeconds === undefined
+    && Object.values(index.key).every((type) => type === 1 || type === -1);
+
+// Indexes whose key is a prefix of another index, which therefore already serves their queries
+const findRedundantIndexes = (indexes) => indexes
+    .filter(isPlainIndex)
+    .map((index) => ({ index, coveredBy: indexes.find((other) => other !== index && coversAllDocuments(other) && isPrefixOf(index.key, other.key)) }))
+    .filter(({ coveredBy }) => coveredBy)
+    .map(({ index, coveredBy }) => ({ name: index.name, key: index.key, coveredBy: coveredBy.name }));
+
+// Number of leading index fields a classified shape can use: equality fields, then sort fields, then one range field
+const usablePrefixLength = (indexKey, { equality, sort, range }) => {
+    const fields = Object.keys(indexKey);
+    let i = 0;
+    while (i < fields.length && equality.includes(fields[i])) {
+        i++;
+    }
+    const flip = sort.length > 0 && indexKey[sort[0].field] === -sort[0].direction ? -1 : 1;
+    for (const { field, direction } of sort) {
+        if (fields[i] !== field || indexKey[field] !== direction * flip) {
+            return i;
+        }
+        i++;
+    }
+    if (i < fields.length && range.includes(fields[i])) {
+        i++;
+    }
+    return i;
+};
+
+// Pick the existing index that serves the most of a shape; partial, sparse and wildcard indexes are skipped
+// because hinting them would silently drop documents they don't contain
+const pickIndex = (indexes, classified) => {
+    let best = null;
+    let bestLength = 0;
+    indexes
+        .filter((index) => coversAllDocuments(index)
+            && Object.values(index.key).every((type) => type === 1 || type === -1))
+        .forEach((index) => {
+            const length = usablePrefixLength(index.key, classified);
+            const shorter = best && Object.keys(index.key).length < Object.keys(best.key).length;
+            if (length > bestLength || (length > 0 && length === bestLength && shorter)) {
+                best = index;
+                bestLength = length;
+            }
+        });
+    return best;
+};
+
+// Compare workload shapes ({ filter, sort, count }) with existing indexes and suggest compound indexes
+const buildAdvice = (shapes, indexes, { minQueries = 1 } = {}) => {
+    const suggestions = [];
+    const unindexable = [];
+
+    shapes.forEach((shape) => {
+        const classified = classifyShape(shape);
+        if (!classified || (classified.equality.length + classified.sort.length + classified.range.length) === 0) {
+            unindexable.push({ filter: shape.filter, sort: shape.sort, count: shape.count });
+            return;
+        }
+        if (shape.count < minQueries || indexes.some((index) => coversAllDocuments(index) && servesShape(index.key, classified))) {
+            return;
+        }
+
+        const key = recommendIndexKey(classified);
+        const existing = suggestions.find((suggestion) => JSON.stringify(suggestion.key) === JSON.stringify(key));
+        if (existing) {
+            existing.queries += shape.count;
+            existing.shapes.push({ filter: shape.filter, sort: shape.sort });
+        } else {
+            suggestions.push({ key, queries: shape.count, shapes: [{ filter: shape.filter, sort: shape.sort }] });
+        }
+    });
+
+    // A suggestion that is a prefix of another suggestion is served by the longer one
+    const merged = suggestions.filter((suggestion) => {
+        const longer = suggestions.find((other) => other !== suggestion && isPrefixOf(suggestion.key, other.key));
+        if (longer) {
+            longer.queries += suggestion.queries;
+            longer.shapes.push(...suggestion.shapes);
+        }
+        return !longer;
+    });
+    merged.sort((a, b) => b.queries - a.queries);
+
+    return {
+        shapesAnalyzed: shapes.length,
+        suggestions: merged,
+        redundant: findRedundantIndexes(indexes),
+        unindexable
+    };
+};
+
+module.exports = { classifyShape, recommendIndexKey, servesShape, pickIndex, findRedundantIndexes, buildAdvice };
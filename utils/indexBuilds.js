@@ -0,0 +1,21 @@
+// Index builds started by this process, so shutdown aborts only those and not builds started by other
+// instances (a rolling deploy's new instance) or by an admin
+const running = new Set();
+
+// Name the server gives an index without an explicit one: field_direction pairs joined by underscores
+const defaultIndexName = (key) => Object.entries(key).map(([field, type]) => `${field}_${type}`).join('_');
+
+// createIndex on a driver collection, recorded as running until the server answers; resolves with the name
+const buildIndex = async (collection, key, options = {}) => {
+    const build = { collection: collection.collectionName, name: options.name || defaultIndexName(key) };
+    running.add(build);
+    try {
+        return await collection.createIndex(key, { ...options, name: build.name });
+    } finally {
+        running.delete(build);
+    }
+};
+
+const runningIndexBuilds = () => [...running];
+
+module.exports = { defaultIndexName, buildIndex, runningIndexBuilds };
@@ -0,0 +1,25 @@
+// Filter matching the documents an index has entries for, or null when it indexes every document.
+// A sparse index skips documents missing all of its fields; a partial one indexes its partialFilterExpression.
+const coverageFilter = (index) => {
+    if (index.partialFilterExpression) {
+        return index.partialFilterExpression;
+    }
+    if (index.sparse) {
+        return { $or: Object.keys(index.key).map((field) => ({ [field]: { $exists: true } })) };
+    }
+    return null;
+};
+
+// Bytes an index on every document would take, extrapolated from the entries the partial or sparse one has
+const estimateSavings = ({ size, documents, total }) => {
+    if (size === null || documents === 0) {
+        return { estimatedFullSize: null, savedBytes: null };
+    }
+    if (total <= documents) {
+        return { estimatedFullSize: size, savedBytes: 0 };
+    }
+    const estimatedFullSize = Math.round((size * total) / documents);
+    return { estimatedFullSize, savedBytes: estimatedFullSize - size };
+};
+
+module.exports = { coverageFilter, estimateSavings };
@@ -0,0 +1,53 @@
+const createError = require('http-errors');
+
+// Key directions/types an index spec may use
+const INDEX_KEY_TYPES = [1, -1, 'text', '2dsphere', 'hashed'];
+
+// Options that may be passed through to createIndex
+const INDEX_OPTIONS = ['name', 'unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'weights', 'default_language', 'language_override'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validate a JSON index spec ({ key, options }) and return the arguments for createIndex
+const parseIndexSpec = (spec) => {
+    if (!isPlainObject(spec) || !isPlainObject(spec.key) || Object.keys(spec.key).length === 0) {
+        throw createError(400, 'Index spec must have a non-empty "key" object');
+    }
+
+    const key = {};
+    Object.entries(spec.key).forEach(([field, type]) => {
+        if (!INDEX_KEY_TYPES.includes(type)) {
+            throw createError(400, `Invalid index type for "${field}": must be one of ${INDEX_KEY_TYPES.join(', ')}`);
+        }
+        key[field] = type;
+    });
+
+    const options = spec.options === undefined ? {} : spec.options;
+    if (!isPlainObject(options)) {
+        throw createError(400, 'Index "options" must be an object');
+    }
+    const unknown = Object.keys(options).filter((option) => !INDEX_OPTIONS.includes(option));
+    if (unknown.length > 0) {
+        throw createError(400, `Unsupported index options: ${unknown.join(', ')}`);
+    }
+
+    if (options.expireAfterSeconds !== undefined) {
+        const fields = Object.keys(key);
+        if (!Number.isInteger(options.expireAfterSeconds) || options.expireAfterSeconds < 0) {
+            throw createError(400, 'expireAfterSeconds must be a non-negative integer');
+        }
+        if (fields.length !== 1 || typeof key[fields[0]] !== 'number') {
+            throw createError(400, 'A TTL index must be on a single ascending or descending field');
+        }
+    }
+    if (options.partialFilterExpression !== undefined && !isPlainObject(options.partialFilterExpression)) {
+        throw createError(400, 'partialFilterExpression must be an object');
+    }
+    if (options.weights !== undefined && !Object.values(key).includes('text')) {
+        throw createError(400, 'weights can only be set on a text index');
+    }
+
+    return { key, options };
+};
+
+module.exports = { INDEX_KEY_TYPES, INDEX_OPTIONS, parseIndexSpec };
@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Per-request fields (the request ID) added to every line logged while handling that request
+const context = new AsyncLocalStorage();
+
+const runWithContext = (fields, fn) => context.run(fields, fn);
+
+const currentContext = () => context.getStore() || {};
+
+// Errors don't survive JSON.stringify; keep what helps debugging, minus the stack in production
+const serializeError = (err) => {
+    const serialized = { name: err.name, message: err.message };
+    if (err.code !== undefined) {
+        serialized.code = err.code;
+    }
+    if (config.env !== 'production') {
+        serialized.stack = err.stack;
+    }
+    return serialized;
+};
+
+const serializeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => (
+    [key, value instanceof Error ? serializeError(value) : value]
+)));
+
+// JSON-lines logger: one object per line with time, level, msg, the request context and `fields`
+const createLogger = ({ level = 'info', write = (line) => process.stdout.write(line) } = {}) => {
+    const logger = { level };
+    Object.keys(LEVELS).filter((name) => name !== 'silent').forEach((name) => {
+        logger[name] = (msg, fields = {}) => {
+            if (LEVELS[name] < LEVELS[logger.level]) {
+                return;
+            }
+            write(`${JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...currentContext(), ...serializeFields(fields) })}\n`);
+        };
+    });
+    return logger;
+};
+
+// Application logger; LOG_LEVEL picks the lowest level written
+const logger = createLogger({ level: config.logLevel });
+
+module.exports = { LEVELS, createLogger, logger, runWithContext, currentContext, serializeError };
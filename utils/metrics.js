@@ -0,0 +1,126 @@
+const { logger } = require('./logger');
+
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+// Seconds; covers cached responses (sub-millisecond) up to slow collection scans
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length === 0 ? '' : `{${pairs.join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+// Label values in the metric's declared order, so { a, b } and { b, a } land in the same series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+
+const labelsOf = (labelNames, key) => {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+};
+
+const createRegistry = () => {
+    const metrics = [];
+
+    // Counters and gauges share one shape; `collect` refreshes the values right before each scrape
+    const simple = (type, name, help, { labelNames = [], collect } = {}) => {
+        const series = new Map();
+        const metric = {
+            name,
+            collect,
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + value);
+            },
+            set(labels, value) {
+                series.set(seriesKey(labelNames, labels), value);
+            },
+            reset() {
+                series.clear();
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+                series.forEach((value, key) => lines.push(`${name}${labelText(labelsOf(labelNames, key))} ${formatValue(value)}`));
+                return lines;
+            }
+        };
+        if (type === 'gauge') {
+            metric.dec = (labels = {}, value = 1) => metric.inc(labels, -value);
+        }
+        metrics.push(metric);
+        return metric;
+    };
+
+    const histogram = (name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) => {
+        const series = new Map();
+        const metric = {
+            name,
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) {
+                        entry.counts[i]++;
+                    }
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            reset() {
+                series.clear();
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                series.forEach((entry, key) => {
+                    const labels = labelsOf(labelNames, key);
+                    buckets.forEach((bound, i) => {
+                        lines.push(`${name}_bucket${labelText({ ...labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+                    });
+                    lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${entry.count}`);
+                    lines.push(`${name}_sum${labelText(labels)} ${formatValue(entry.sum)}`);
+                    lines.push(`${name}_count${labelText(labels)} ${entry.count}`);
+                });
+                return lines;
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter: (name, help, options) => simple('counter', name, help, options),
+        gauge: (name, help, options) => simple('gauge', name, help, options),
+        histogram,
+
+        // Collectors that fail leave their last values in place rather than failing the scrape
+        async render() {
+            for (const metric of metrics) {
+                if (metric.collect) {
+                    try {
+                        await metric.collect(metric);
+                    } catch (err) {
+                        logger.error('Failed to collect metric', { metric: metric.name, err });
+                    }
+                }
+            }
+            return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+        }
+    };
+};
+
+// Registry shared by the HTTP, MongoDB and index metrics behind /metrics
+const registry = createRegistry();
+
+module.exports = { DEFAULT_BUCKETS, createRegistry, registry };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { registry } = require('./metrics');
+
+const commandDuration = registry.histogram('mongodb_command_duration_seconds', 'MongoDB command latency by collection, operation and outcome', {
+    labelNames: ['collection', 'operation', 'outcome']
+});
+const poolConnections = registry.gauge('mongodb_pool_connections', 'Open connections in the driver pool', {
+    labelNames: ['address']
+});
+const poolConnectionsInUse = registry.gauge('mongodb_pool_connections_in_use', 'Pool connections checked out by an operation', {
+    labelNames: ['address']
+});
+const poolCheckoutFailures = registry.counter('mongodb_pool_checkout_failures_total', 'Failed pool checkouts by reason', {
+    labelNames: ['address', 'reason']
+});
+
+// Operations served by each index since it was created or the server restarted, read from $indexStats
+// on every scrape; the counter drops back when that happens, which rate() treats as a reset
+registry.counter('mongodb_index_accesses_total', 'Operations that used each index ($indexStats accesses.ops)', {
+    labelNames: ['collection', 'index'],
+    collect: async (metric) => {
+        if (mongoose.connection.readyState !== 1) {
+            return;
+        }
+        const stats = await Promise.all(mongoose.modelNames().map(async (name) => {
+            const { collection } = mongoose.model(name);
+            const indexes = await collection.aggregate([{ $indexStats: {} }]).toArray();
+            return indexes.map((index) => ({ collection: collection.collectionName, index: index.name, ops: Number(index.accesses.ops) }));
+        }));
+        // Rebuilt from scratch so dropped indexes disappear from the output
+        metric.reset();
+        stats.flat().forEach(({ collection, index, ops }) => metric.set({ collection, index }, ops));
+    }
+});
+
+// The collection a command targets; getMore names it separately and admin commands have none
+const collectionOf = ({ commandName, command }) => {
+    const target = commandName === 'getMore' ? command.collection : command[commandName];
+    return typeof target === 'string' ? target : 'none';
+};
+
+// Feed driver command monitoring (needs the monitorCommands client option) and pool events into the registry
+const instrumentMongoClient = (client) => {
+    const pending = new Map();
+    const finish = (outcome) => (event) => {
+        const collection = pending.get(event.requestId) || 'none';
+        pending.delete(event.requestId);
+        commandDuration.observe({ collection, operation: event.commandName, outcome }, event.duration / 1000);
+    };
+
+    client.on('commandStarted', (event) => pending.set(event.requestId, collectionOf(event)));
+    client.on('commandSucceeded', finish('success'));
+    client.on('commandFailed', finish('failure'));
+
+    client.on('connectionCreated', ({ address }) => poolConnections.inc({ address }));
+    client.on('connectionClosed', ({ address }) => poolConnections.dec({ address }));
+    client.on('connectionCheckedOut', ({ address }) => poolConnectionsInUse.inc({ address }));
+    client.on('connectionCheckedIn', ({ address }) => poolConnectionsInUse.dec({ address }));
+    client.on('connectionCheckOutFailed', ({ address, reason }) => poolCheckoutFailures.inc({ address, reason }));
+};
+
+module.exports = { instrumentMongoClient };
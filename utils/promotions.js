@@ -0,0 +1,71 @@
+const createError = require('http-errors');
+
+// Promotions may run for at most this long; they are meant to be time-boxed
+const MAX_PROMOTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Promotions running at `now`. The TTL monitor deletes expired ones only every minute or so,
+// so reads check expiresAt themselves.
+const activeAt = (now) => ({ startsAt: { $lte: now }, expiresAt: { $gt: now } });
+
+// Lowest active promotion per hotel id, from promotions sorted by ascending price
+const bestPromotions = (promotions) => {
+    const best = new Map();
+    promotions.forEach((promotion) => {
+        const key = String(promotion.hotel);
+        if (!best.has(key)) {
+            best.set(key, promotion);
+        }
+    });
+    return best;
+};
+
+// A promotion never raises the price
+const effectivePrice = (price, promotion) => (promotion ? Math.min(price, promotion.price) : price);
+
+// Whether a price is within a { $gte, $lte } range from the search query
+const withinRange = (price, { $gte: min, $lte: max }) => (min === undefined || price >= min) && (max === undefined || price <= max);
+
+// Aggregation expression for the effective price, given the promoted hotels as { id, price } pairs
+const effectivePriceExpression = (promoted) => ({
+    $let: {
+        vars: { at: { $indexOfArray: [{ $literal: promoted.map(({ id }) => id) }, '$_id'] } },
+        in: {
+            $cond: [
+                { $gte: ['$$at', 0] },
+                { $min: ['$price', { $arrayElemAt: [{ $literal: promoted.map(({ price }) => price) }, '$$at'] }] },
+                '$price'
+            ]
+        }
+    }
+});
+
+const parseDate = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        if (fallback === undefined) {
+            throw createError(400, `${name} is required`);
+        }
+        return fallback;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, `${name} must be a valid date`);
+    }
+    return date;
+};
+
+// Promotion body: { price, startsAt?, expiresAt }; starts now unless told otherwise
+const parsePromotionRequest = (body, now = new Date()) => {
+    const startsAt = parseDate(body.startsAt, 'startsAt', now);
+    const expiresAt = parseDate(body.expiresAt, 'expiresAt');
+    if (expiresAt <= startsAt || expiresAt <= now) {
+        throw createError(400, 'expiresAt must be in the future and after startsAt');
+    }
+    if (expiresAt - startsAt > MAX_PROMOTION_DAYS * DAY_MS) {
+        throw createError(400, `Promotions are limited to ${MAX_PROMOTION_DAYS} days`);
+    }
+    return { price: body.price, startsAt, expiresAt };
+};
+
+module.exports = { MAX_PROMOTION_DAYS, activeAt, bestPromotions, effectivePrice, withinRange, effectivePriceExpression, parsePromotionRequest };
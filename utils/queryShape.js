@@ -0,0 +1,23 @@
+// Replace every value in a filter/sort/projection with 1, keeping field names and operators
+const shapeOf = (value) => {
+    if (Array.isArray(value)) {
+        // $and/$or/$nor hold sub-filters; plain arrays ($in, $all) collapse to a single placeholder
+        return value.every(isPlainObject) ? value.map(shapeOf) : 1;
+    }
+    if (isPlainObject(value)) {
+        const shape = {};
+        Object.keys(value).sort().forEach((key) => {
+            shape[key] = shapeOf(value[key]);
+        });
+        return shape;
+    }
+    return 1;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Canonical key used to group queries that only differ by their values
+const shapeKey = ({ operation, filter, sort, projection }) =>
+    JSON.stringify([operation, shapeOf(filter || {}), sort || {}, shapeOf(projection || {})]);
+
+module.exports = { shapeOf, shapeKey };
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const READY_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Progress of the declared (schema) index builds: pending until waitForIndexes settles
+const indexes = { status: 'pending', error: null };
+let shuttingDown = false;
+
+// From here on /readyz fails so load balancers stop sending traffic while requests drain
+const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+// Resolve once every model's declared indexes exist; Model.init() builds them on first connection
+const waitForIndexes = async () => {
+    try {
+        await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+        indexes.status = 'built';
+        indexes.error = null;
+    } catch (err) {
+        indexes.status = 'failed';
+        indexes.error = err.message;
+        throw err;
+    }
+};
+
+// Checks behind /readyz; ready means MongoDB is connected right now and the indexes are in place
+const readinessReport = () => {
+    const mongo = READY_STATES[mongoose.connection.readyState] || 'unknown';
+    const checks = { mongo, indexes: indexes.status };
+    if (indexes.error) {
+        checks.indexError = indexes.error;
+    }
+    if (shuttingDown) {
+        checks.shuttingDown = true;
+    }
+    return { ready: mongo === 'connected' && indexes.status === 'built' && !shuttingDown, checks };
+};
+
+module.exports = { waitForIndexes, markShuttingDown, readinessReport };
@@ -0,0 +1,113 @@
+const config = require('../config');
+const { createLruStore, createRedisClient, createRedisStore, createLocalRedisClient } = require('./cacheStores');
+const { logger } = require('./logger');
+
+// Entries depending on queries that aren't narrowed to one location or one hotel
+const ALL_HOTELS_TAG = 'hotels';
+
+// CACHE_STORE=lru (default), redis or none. For redis, REDIS_URL points at a server through node-redis;
+// without it the in-memory stand-in is used, which behaves the same within one process.
+// While Redis is unreachable, cache lookups fail at once and requests go to MongoDB.
+const storeFromConfig = ({ store, redisUrl, maxEntries }) => {
+    if (store === 'none') {
+        return null;
+    }
+    if (store === 'redis') {
+        if (!redisUrl) {
+            return createRedisStore(createLocalRedisClient());
+        }
+        const client = createRedisClient(redisUrl);
+        client.on('error', (err) => logger.error('Redis cache error', { err }));
+        client.connect().catch((err) => logger.error('Redis cache connection failed', { err }));
+        return createRedisStore(client);
+    }
+    return createLruStore({ maxEntries });
+};
+
+const cache = {
+    store: storeFromConfig(config.cache),
+    ttlSeconds: config.cache.ttlSeconds,
+    // Bumped on every invalidation so a response computed before a write is not stored after it
+    generation: 0,
+    stats: { hits: 0, misses: 0, invalidated: 0, hitMs: 0, missMs: 0 }
+};
+
+// Swap the store at runtime (null disables caching); counters start over
+const useCacheStore = (store) => {
+    cache.store = store;
+    cache.generation++;
+    cache.stats = { hits: 0, misses: 0, invalidated: 0, hitMs: 0, missMs: 0 };
+};
+
+// What a cached GET depends on: one hotel, every hotel in one location (the leading key of the
+// location and location+price indexes), or the whole collection
+const tagsFor = (req) => {
+    if (req.params.id) {
+        return [`hotel:${req.params.id}`];
+    }
+    if (typeof req.query.location === 'string' && req.query.location !== '') {
+        return [`location:${req.query.location}`];
+    }
+    return [ALL_HOTELS_TAG];
+};
+
+const recordLookup = (hit, startedAt) => {
+    const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    cache.stats[hit ? 'hits' : 'misses']++;
+    cache.stats[hit ? 'hitMs' : 'missMs'] += elapsedMs;
+};
+
+// Cache failures only cost a trip to MongoDB; they never fail the request
+const safely = async (action, fallback) => {
+    try {
+        return await action();
+    } catch (err) {
+        logger.error('Response cache error', { err });
+        return fallback;
+    }
+};
+
+// Drop the entries a write to this hotel may have changed; `previousLocation` covers hotels that moved
+const invalidateHotel = async (hotel, previousLocation) => {
+    cache.generation++;
+    if (!cache.store) {
+        return;
+    }
+    const tags = new Set([`hotel:${hotel._id}`, `location:${hotel.location}`, ALL_HOTELS_TAG]);
+    if (previousLocation) {
+        tags.add(`location:${previousLocation}`);
+    }
+    cache.stats.invalidated += await safely(() => cache.store.invalidateTags([...tags]), 0);
+};
+
+// Drop everything, for bulk writes and index changes that can affect any cached response
+const clearCache = async () => {
+    cache.generation++;
+    if (!cache.store) {
+        return;
+    }
+    cache.stats.invalidated += await safely(async () => {
+        const size = await cache.store.size();
+        await cache.store.clear();
+        return size;
+    }, 0);
+};
+
+// Hit/miss counters with average latency, to compare cached responses with indexed queries
+const cacheStats = async () => {
+    const { hits, misses, invalidated, hitMs, missMs } = cache.stats;
+    const average = (total, count) => (count === 0 ? null : Math.round((total / count) * 1000) / 1000);
+    return {
+        store: cache.store ? cache.store.name : 'none',
+        ttlSeconds: cache.ttlSeconds,
+        entries: cache.store ? await safely(() => cache.store.size(), null) : 0,
+        hits,
+        misses,
+        hitRatio: hits + misses === 0 ? null : Math.round((hits / (hits + misses)) * 1000) / 1000,
+        invalidated,
+        avgHitMs: average(hitMs, hits),
+        avgMissMs: average(missMs, misses)
+    };
+};
+
+module.exports = { cache, tagsFor, recordLookup, safely, useCacheStore, invalidateHotel, clearCache, cacheStats };
@@ -0,0 +1,54 @@
+const createError = require('http-errors');
+
+// Denormalized rating fields on each hotel; only review writes may change them
+const RATING_FIELDS = ['avgRating', 'reviewCount', 'ratingTotal'];
+
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+const DEFAULT_TOP_RATED_LIMIT = 10;
+const MAX_TOP_RATED_LIMIT = 50;
+
+// Integer query option between `min` and `max`, or `fallback` when absent
+const integerOption = (query, name, fallback, min, max) => {
+    const value = query[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+        throw createError(400, max === undefined ? `${name} must be an integer of at least ${min}` : `${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+};
+
+// ?page=&limit= for a hotel's reviews, newest first
+const parseReviewPage = (query) => ({
+    page: integerOption(query, 'page', 1, 1),
+    limit: integerOption(query, 'limit', DEFAULT_REVIEW_LIMIT, 1, MAX_REVIEW_LIMIT)
+});
+
+// ?location=&limit=&minReviews= for the best rated hotels in one location
+const parseTopRatedQuery = (query) => {
+    if (typeof query.location !== 'string' || query.location.trim() === '') {
+        throw createError(400, 'location is required');
+    }
+    return {
+        location: query.location,
+        limit: integerOption(query, 'limit', DEFAULT_TOP_RATED_LIMIT, 1, MAX_TOP_RATED_LIMIT),
+        minReviews: integerOption(query, 'minReviews', 1, 1)
+    };
+};
+
+// Pipeline update adding one rating to a hotel. The server applies it atomically, so concurrent
+// reviews never overwrite each other's counts the way a read-modify-write would.
+const addRatingUpdate = (rating) => [
+    {
+        $set: {
+            reviewCount: { $add: [{ $ifNull: ['$reviewCount', 0] }, 1] },
+            ratingTotal: { $add: [{ $ifNull: ['$ratingTotal', 0] }, rating] }
+        }
+    },
+    { $set: { avgRating: { $round: [{ $divide: ['$ratingTotal', '$reviewCount'] }, 2] } } }
+];
+
+module.exports = { RATING_FIELDS, parseReviewPage, parseTopRatedQuery, addRatingUpdate };
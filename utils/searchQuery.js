@@ -0,0 +1,200 @@
+const createError = require('http-errors');
+const { textSearchFilter } = require('./textSearch');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields clients may sort and project on
+const SORT_FIELDS = ['price', 'rooms', 'name', 'location', '_id'];
+const PROJECTION_FIELDS = ['name', 'location', 'price', 'rooms', 'description', 'amenities', 'stars', 'featured'];
+
+// Keyset pagination needs a unique, totally ordered key: _id alone or price with _id as tie-breaker
+const CURSOR_FIELDS = ['_id', 'price'];
+
+const toNumber = (value, name) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw createError(400, `${name} must be a number`);
+    }
+    return number;
+};
+
+const toPositiveInteger = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createError(400, `${name} must be a positive integer`);
+    }
+    return number;
+};
+
+// Repeated parameters (?sort=a&sort=b) and bracket syntax (?sort[x]=) arrive as arrays and objects
+const toList = (value, name) => {
+    if (typeof value !== 'string') {
+        throw createError(400, `${name} must be a single comma-separated list`);
+    }
+    return value.split(',');
+};
+
+const rangeOf = (min, max) => {
+    const range = {};
+    if (min !== undefined) {
+        range.$gte = min;
+    }
+    if (max !== undefined) {
+        range.$lte = max;
+    }
+    return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// Parse "price,-rooms" into { price: 1, rooms: -1 }; "score" sorts by text relevance
+const parseSort = (value, hasText) => {
+    const sort = {};
+    if (!value) {
+        return sort;
+    }
+    toList(value, 'sort').forEach((token) => {
+        const direction = token.startsWith('-') ? -1 : 1;
+        const field = token.replace(/^[-+]/, '');
+        if (field === 'score' && hasText) {
+            sort.score = { $meta: 'textScore' };
+        } else if (SORT_FIELDS.includes(field)) {
+            sort[field] = direction;
+        } else {
+            throw createError(400, `Cannot sort by "${field}"`);
+        }
+    });
+    return sort;
+};
+
+// Parse "name,price" into an inclusion projection
+const parseProjection = (value) => {
+    if (!value) {
+        return undefined;
+    }
+    const projection = {};
+    toList(value, 'fields').forEach((field) => {
+        if (!PROJECTION_FIELDS.includes(field)) {
+            throw createError(400, `Cannot select field "${field}"`);
+        }
+        projection[field] = 1;
+    });
+    return projection;
+};
+
+const encodeCursor = (doc, field) => Buffer.from(JSON.stringify({ v: doc[field], id: String(doc._id) })).toString('base64url');
+
+// The position must be plain values: it is also compared in memory against promoted hotels' effective
+// prices, and an object could smuggle an operator into the keyset condition
+const decodeCursor = (value) => {
+    try {
+        const cursor = typeof value === 'string' ? JSON.parse(Buffer.from(value, 'base64url').toString('utf8')) : null;
+        if (cursor && typeof cursor.id === 'string' && ['number', 'string'].includes(typeof cursor.v)) {
+            return cursor;
+        }
+    } catch (err) {
+        // fall through to the 400 below
+    }
+    throw createError(400, 'Invalid cursor');
+};
+
+// Condition selecting the documents after the cursor position in the keyset order
+const afterCursor = (cursor, field, direction) => {
+    const op = direction === 1 ? '$gt' : '$lt';
+    if (field === '_id') {
+        return { _id: { [op]: cursor.id } };
+    }
+    return { $or: [{ [field]: { [op]: cursor.v } }, { [field]: cursor.v, _id: { [op]: cursor.id } }] };
+};
+
+// The same test as afterCursor for a document already in memory, given its value of the keyset field and its id
+const isAfterCursor = (cursor, field, direction, value, id) => {
+    const [position, after] = field === '_id' ? [id, cursor.id] : [value, cursor.v];
+    if (position === after) {
+        return id !== cursor.id && (id > cursor.id ? 1 : -1) === direction;
+    }
+    return (position > after ? 1 : -1) === direction;
+};
+
+// Comparator putting documents in `sort` order; `valueOf(doc, field)` reads a sort key, text scores sort highest first
+const compareBy = (sort, valueOf) => (a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+        const [x, y] = [valueOf(a, field), valueOf(b, field)];
+        if (x !== y) {
+            const ascending = x < y ? -1 : 1;
+            return field === 'score' ? -ascending : ascending * direction;
+        }
+    }
+    return 0;
+};
+
+// Optional ?location=; the extended query parser turns ?location[$ne]= into an object, which must not
+// reach the filter as an operator
+const parseLocation = (query) => {
+    if (query.location === undefined || query.location === '') {
+        return undefined;
+    }
+    if (typeof query.location !== 'string' || query.location.trim() === '') {
+        throw createError(400, 'location must be a non-empty string');
+    }
+    return query.location;
+};
+
+// ?limit= for list routes: DEFAULT_LIMIT when absent, at most MAX_LIMIT
+const parseLimit = (query) => {
+    const limit = toPositiveInteger(query.limit, 'limit', DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw createError(400, `limit must not exceed ${MAX_LIMIT}`);
+    }
+    return limit;
+};
+
+// Translate the search query string into filter, sort, projection and pagination settings
+const parseSearchQuery = (query) => {
+    const filter = {};
+    const location = parseLocation(query);
+    if (location !== undefined) {
+        filter.location = location;
+    }
+    const price = rangeOf(toNumber(query.minPrice, 'minPrice'), toNumber(query.maxPrice, 'maxPrice'));
+    if (price) {
+        filter.price = price;
+    }
+    const rooms = rangeOf(toNumber(query.minRooms, 'minRooms'), toNumber(query.maxRooms, 'maxRooms'));
+    if (rooms) {
+        filter.rooms = rooms;
+    }
+    if (query.q) {
+        filter.$text = textSearchFilter(query.q, query.language).$text;
+    }
+
+    const sort = parseSort(query.sort, Boolean(query.q));
+    const limit = parseLimit(query);
+
+    const search = { filter, sort, projection: parseProjection(query.fields), limit };
+
+    if (query.cursor !== undefined) {
+        if (query.page !== undefined) {
+            throw createError(400, 'Use either page or cursor, not both');
+        }
+        const sortFields = Object.keys(sort);
+        const field = sortFields.length === 0 ? '_id' : sortFields[0];
+        if (sortFields.length > 1 || !CURSOR_FIELDS.includes(field)) {
+            throw createError(400, `Cursor pagination requires sorting by one of: ${CURSOR_FIELDS.join(', ')}`);
+        }
+        const direction = sort[field] || 1;
+        search.keyset = { field, direction, after: query.cursor === '' ? null : decodeCursor(query.cursor) };
+        search.sort = field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+    } else {
+        search.page = toPositiveInteger(query.page, 'page', 1);
+    }
+
+    return search;
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseLocation, parseLimit, parseSearchQuery, encodeCursor, decodeCursor, afterCursor, isAfterCursor, compareBy };
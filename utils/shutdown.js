@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { markShuttingDown } = require('./readiness');
+const { logger } = require('./logger');
+const { runningIndexBuilds } = require('./indexBuilds');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Count requests in flight on `server`; once draining, responses ask clients to drop keep-alive
+// connections so the server can close without cutting anyone off mid-response
+const trackRequests = (server) => {
+    const inFlight = new Set();
+    let draining = false;
+    server.on('request', (req, res) => {
+        inFlight.add(res);
+        if (draining) {
+            res.setHeader('Connection', 'close');
+        }
+        res.on('close', () => inFlight.delete(res));
+    });
+    return {
+        get size() {
+            return inFlight.size;
+        },
+        drain() {
+            draining = true;
+            inFlight.forEach((res) => {
+                if (!res.headersSent) {
+                    res.setHeader('Connection', 'close');
+                }
+            });
+        }
+    };
+};
+
+// Abort the index builds this process started and that are still running by dropping the indexes they build
+const abortIndexBuilds = async (connection, builds = runningIndexBuilds()) => {
+    const aborted = [];
+    for (const { collection, name } of builds) {
+        try {
+            await connection.db.collection(collection).dropIndex(name);
+            aborted.push(`${collection}.${name}`);
+        } catch (err) {
+            // The build finished or was aborted in the meantime
+        }
+    }
+    return aborted;
+};
+
+// Build the shutdown sequence for `server`: stop accepting connections, let in-flight requests finish
+// (cutting off what's left after `timeoutMs`), abort the index builds it started, then disconnect Mongoose.
+// Calling the returned function again returns the same promise.
+const createShutdown = (server, { connection = mongoose.connection, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    const requests = trackRequests(server);
+    let shuttingDown = null;
+
+    const closeServer = () => new Promise((resolve) => {
+        let timer = null;
+        server.close(() => {
+            clearTimeout(timer);
+            resolve(false);
+        });
+        requests.drain();
+        server.closeIdleConnections();
+        timer = setTimeout(() => {
+            server.closeAllConnections();
+            resolve(true);
+        }, timeoutMs);
+    });
+
+    return (reason = 'shutdown') => {
+        if (!shuttingDown) {
+            shuttingDown = (async () => {
+                markShuttingDown();
+                logger.info('Shutting down', { reason, inFlight: requests.size });
+                const timedOut = server.listening ? await closeServer() : false;
+                if (timedOut) {
+                    logger.warn('Requests still running after the shutdown timeout were cut off', { timeoutMs });
+                }
+
+                // Still connecting (signal during startup) means there is nothing to clean up yet
+                let abortedIndexBuilds = [];
+                if (connection.readyState === 1) {
+                    try {
+                        abortedIndexBuilds = await abortIndexBuilds(connection);
+                    } catch (err) {
+                        logger.error('Could not abort index builds', { err });
+                    }
+                    await connection.close();
+                }
+                logger.info('Shutdown complete', { abortedIndexBuilds });
+                return { timedOut, abortedIndexBuilds };
+            })();
+        }
+        return shuttingDown;
+    };
+};
+
+module.exports = { createShutdown, abortIndexBuilds };
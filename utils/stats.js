@@ -0,0 +1,11 @@
+// Nearest-rank percentile of a list of numbers (p in 0..100)
+const percentile = (values, p) => {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+module.exports = { percentile };
@@ -0,0 +1,63 @@
+const createError = require('http-errors');
+
+// Fields /suggest can complete
+const SUGGEST_FIELDS = ['name', 'location'];
+
+// Longer prefixes are looked up by their first MAX_GRAM_LENGTH characters and filtered afterwards
+const MAX_GRAM_LENGTH = 20;
+const DEFAULT_SUGGEST_LIMIT = 10;
+const MAX_SUGGEST_LIMIT = 20;
+
+// Lower-case, strip diacritics ("Zürich" -> "zurich") and collapse whitespace
+const normalizeForSuggest = (value) => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// The value from each word onwards: "new york city" -> "new york city", "york city", "city"
+const wordSuffixes = (normalized) => {
+    const words = normalized.split(' ');
+    return words.map((word, i) => words.slice(i).join(' '));
+};
+
+// Edge n-grams from the start of every word, so "new y", "york" and "york c" all complete "New York City"
+const edgeNgrams = (value) => {
+    const normalized = normalizeForSuggest(value || '');
+    if (!normalized) {
+        return [];
+    }
+    const grams = new Set();
+    wordSuffixes(normalized).forEach((text) => {
+        for (let length = 1; length <= Math.min(text.length, MAX_GRAM_LENGTH); length++) {
+            grams.add(text.slice(0, length).trim());
+        }
+    });
+    return [...grams];
+};
+
+// True when `value` has a word from which it continues with `prefix`, after normalization
+const matchesPrefix = (value, prefix) => wordSuffixes(normalizeForSuggest(value)).some((text) => text.startsWith(prefix));
+
+// Validate ?q=&field=&limit= for /suggest
+const parseSuggestQuery = (query) => {
+    const prefix = normalizeForSuggest(query.q || '');
+    if (!prefix) {
+        throw createError(400, 'q is required');
+    }
+    const field = query.field || 'name';
+    if (!SUGGEST_FIELDS.includes(field)) {
+        throw createError(400, `field must be one of: ${SUGGEST_FIELDS.join(', ')}`);
+    }
+    let limit = DEFAULT_SUGGEST_LIMIT;
+    if (query.limit !== undefined && query.limit !== '') {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGEST_LIMIT) {
+            throw createError(400, `limit must be an integer between 1 and ${MAX_SUGGEST_LIMIT}`);
+        }
+    }
+    return { field, prefix, gram: prefix.slice(0, MAX_GRAM_LENGTH), limit };
+};
+
+module.exports = { SUGGEST_FIELDS, MAX_GRAM_LENGTH, normalizeForSuggest, edgeNgrams, matchesPrefix, parseSuggestQuery };
@@ -0,0 +1,94 @@
+const createError = require('http-errors');
+
+// Languages MongoDB text indexes can stem; 'none' disables stemming and stop words
+const TEXT_LANGUAGES = [
+    'danish', 'dutch', 'english', 'finnish', 'french', 'german', 'hungarian', 'italian', 'norwegian',
+    'portuguese', 'romanian', 'russian', 'spanish', 'swedish', 'turkish', 'none'
+];
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a $search string the way MongoDB reads it: "exact phrases", -negated terms and plain terms
+const parseTextSearch = (search) => {
+    const phrases = [];
+    const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) {
+            phrases.push(phrase.trim());
+        }
+        return ' ';
+    });
+    const terms = [];
+    const negated = [];
+    rest.split(/\s+/).filter(Boolean).forEach((word) => {
+        if (word.startsWith('-') && word.length > 1) {
+            negated.push(word.slice(1));
+        } else if (word !== '-') {
+            terms.push(word);
+        }
+    });
+    return { terms, phrases, negated };
+};
+
+// Build the $text filter for ?search= and the optional ?language=
+const textSearchFilter = (search, language) => {
+    if (typeof search !== 'string' || search.trim() === '') {
+        throw createError(400, 'search is required');
+    }
+    const text = { $search: search };
+    if (language !== undefined) {
+        if (!TEXT_LANGUAGES.includes(language)) {
+            throw createError(400, `language must be one of: ${TEXT_LANGUAGES.join(', ')}`);
+        }
+        text.$language = language;
+    }
+    return { $text: text };
+};
+
+// Matches phrases exactly and terms as word prefixes, so stemmed forms ("resorts" for "resort") are marked too.
+// Word boundaries are Unicode letters and digits rather than \b and \w, which only know ASCII.
+const matcherFor = ({ terms, phrases }) => {
+    const patterns = [
+        ...phrases.map(escapeRegExp),
+        ...terms.map((term) => `${escapeRegExp(term)}[\\p{L}\\p{N}]*`)
+    ];
+    return patterns.length === 0 ? null : new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// HTML snippet of `text` around the first match with every match wrapped in <mark>; null when nothing matches
+const highlight = (text, parsed, maxLength = SNIPPET_LENGTH) => {
+    const matcher = matcherFor(parsed);
+    if (!text || !matcher) {
+        return null;
+    }
+    const first = matcher.exec(text);
+    if (!first) {
+        return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > maxLength) {
+        start = Math.max(0, Math.min(first.index - Math.floor(maxLength / 3), text.length - maxLength));
+        end = start + maxLength;
+    }
+    // Partner text may contain HTML: escape everything, matches included, and only add the marks as markup
+    const window = text.slice(start, end);
+    let html = '';
+    let last = 0;
+    // matchAll starts from lastIndex, which the exec above moved past the first match
+    matcher.lastIndex = 0;
+    for (const match of window.matchAll(matcher)) {
+        html += `${escapeHtml(window.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    html += escapeHtml(window.slice(last));
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = { TEXT_LANGUAGES, parseTextSearch, textSearchFilter, highlight };
@@ -0,0 +1,18 @@
+// One entry per rejected field ({ path, message, value }) for Mongoose ValidationError/CastError,
+// so clients can show the problem next to the input; undefined for any other error
+const fieldErrorsFor = (err) => {
+    if (err.name === 'ValidationError') {
+        // Keys hold the full path; error.path is relative for fields inside subdocuments
+        return Object.entries(err.errors).map(([path, error]) => ({
+            path,
+            message: error.name === 'CastError' ? `${path} must be a valid ${error.kind}` : error.message,
+            value: error.value === undefined ? null : error.value
+        }));
+    }
+    if (err.name === 'CastError') {
+        return [{ path: err.path, message: `${err.path} must be a valid ${err.kind}`, value: err.value }];
+    }
+    return undefined;
+};
+
+module.exports = { fieldErrorsFor };